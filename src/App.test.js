@@ -1,8 +1,8 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('opens on the wallet connection screen', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/initialize connection/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /watch/i })).toBeDisabled();
 });
@@ -0,0 +1,63 @@
+import { ethers } from 'ethers';
+import { loadActivityPage, toCsv, NETWORKS } from './walletapl';
+
+describe('toCsv', () => {
+  test('quotes only cells that need it', () => {
+    expect(toCsv([['a', 'b,c'], ['say "hi"', 'two\nlines'], [null, undefined, 0]])).toBe('a,"b,c"\n"say ""hi""","two\nlines"\n,,0');
+  });
+});
+
+describe('loadActivityPage', () => {
+  const bsc = NETWORKS[0], usdt = bsc.tokens[0];
+  const me = ethers.Wallet.createRandom().address, peer = ethers.Wallet.createRandom().address;
+  const LATEST = 1000000, FIRST = LATEST - 20000 + 1;
+  const ERC20 = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)', 'function decimals() view returns (uint8)']);
+  const transferLog = (from, to, amount, blockNumber, index) => ({ address: usdt.address, blockNumber, index, transactionHash: ethers.id(`${blockNumber}:${index}`), ...ERC20.encodeEventLog(ERC20.getEvent('Transfer'), [from, to, ethers.parseUnits(amount, 18)]) });
+  const jsonResponse = (status, data) => ({ ok: status >= 200 && status < 300, status, json: async () => data });
+  let getBlock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'getBlockNumber').mockResolvedValue(LATEST);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'call').mockResolvedValue(ERC20.encodeFunctionResult('decimals', [18]));
+    // Only the first chunk of the newest page holds transfers: one sent and one received.
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'getLogs').mockImplementation(async ({ fromBlock, topics }) => {
+      if (fromBlock !== FIRST) return [];
+      return topics[1] ? [transferLog(me, peer, '5', FIRST + 10, 0)] : [transferLog(peer, me, '7.5', FIRST + 20, 3)];
+    });
+    getBlock = jest.spyOn(ethers.JsonRpcProvider.prototype, 'getBlock').mockImplementation(async (n, prefetch) => ({
+      number: n, timestamp: 1700000000 + n,
+      prefetchedTransactions: prefetch && n === LATEST - 1 ? [{ hash: '0xaa', from: peer, to: me, value: ethers.parseEther('1') }, { hash: '0xbb', from: peer, to: peer, value: 1n }] : [],
+    }));
+    global.fetch = jest.fn();
+  });
+  afterEach(() => { jest.restoreAllMocks(); delete global.fetch; });
+
+  test('pages token transfers and takes native history from the backend', async () => {
+    fetch.mockResolvedValue(jsonResponse(200, [{ hash: '0xcc', from: me, to: peer, value: '2000000000000000000', blockNumber: FIRST + 15, timestamp: 1700000123 }]));
+    const page = await loadActivityPage(me, bsc, null);
+    expect(fetch.mock.calls[0][0]).toContain(`/activity/56/${me}/native?fromBlock=${FIRST}&toBlock=${LATEST}`);
+    expect(page.native).toEqual({ indexed: true, from: FIRST });
+    expect(page.nextBlock).toBe(FIRST - 1);
+    expect(page.entries.map((e) => [e.direction, e.token, e.amount, e.counterparty])).toEqual([
+      ['in', 'USDT', '7.5', peer],
+      ['out', 'BNB', '2.0', peer],
+      ['out', 'USDT', '5.0', peer],
+    ]);
+    expect(page.entries[0].timestamp).toBe(1700000000 + FIRST + 20);
+    expect(getBlock).not.toHaveBeenCalledWith(expect.anything(), true);
+  });
+
+  test('without a native index, scans only the newest blocks and says so', async () => {
+    fetch.mockResolvedValue(jsonResponse(404, { message: 'Not found' }));
+    const page = await loadActivityPage(me, bsc, null);
+    expect(page.native).toEqual({ indexed: false, from: LATEST - 49 });
+    expect(page.entries.filter((e) => e.token === 'BNB').map((e) => [e.hash, e.direction, e.amount])).toEqual([['0xaa', 'in', '1.0']]);
+
+    getBlock.mockClear();
+    const older = await loadActivityPage(me, bsc, FIRST - 1);
+    expect(older.native).toEqual({ indexed: false, from: null });
+    expect(older.entries).toEqual([]);
+    expect(getBlock).not.toHaveBeenCalled();
+  });
+});
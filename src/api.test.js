@@ -0,0 +1,67 @@
+import { api, ApiError, AuthStorage } from './walletapl';
+import { loadWithMockBackend } from './testUtils';
+
+const jsonResponse = (status, data) => ({ ok: status >= 200 && status < 300, status, json: async () => data });
+
+describe('api._request', () => {
+  beforeEach(() => { global.fetch = jest.fn(); api.onUnauthorized = null; AuthStorage.clearAuth(); });
+  afterEach(() => { delete global.fetch; });
+
+  test('retries GETs on server errors, then reports the status', async () => {
+    fetch.mockResolvedValue(jsonResponse(503, { message: 'Busy' }));
+    const err = await api.getUsers().catch((e) => e);
+    expect(err).toBeInstanceOf(ApiError);
+    expect(err).toMatchObject({ status: 503, message: 'Busy' });
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry writes', async () => {
+    fetch.mockResolvedValue(jsonResponse(500, {}));
+    await expect(api.sendMessage({ receiver: 'bob', text: 'hi' })).rejects.toMatchObject({ status: 500, message: 'Request failed (500)' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('recovers when a retry succeeds and sends the bearer token', async () => {
+    AuthStorage.setAuth({ token: 't0k' });
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValueOnce(jsonResponse(200, [{ username: 'bob' }]));
+    expect(await api.getUsers()).toEqual([{ username: 'bob' }]);
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer t0k');
+  });
+
+  test('a 401 on a signed-in request ends the session', async () => {
+    AuthStorage.setAuth({ token: 't0k' });
+    api.onUnauthorized = jest.fn();
+    fetch.mockResolvedValue(jsonResponse(401, { message: 'Expired' }));
+    await expect(api.getUsers()).rejects.toMatchObject({ status: 401, sessionEnded: true });
+    expect(AuthStorage.getAuth()).toBeNull();
+    expect(api.onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a 401 without a session is an ordinary error', async () => {
+    api.onUnauthorized = jest.fn();
+    fetch.mockResolvedValue(jsonResponse(401, { message: 'Bad signature' }));
+    await expect(api.siweLogin({})).rejects.toMatchObject({ status: 401, sessionEnded: false, message: 'Bad signature' });
+    expect(api.onUnauthorized).not.toHaveBeenCalled();
+  });
+
+  test('reports unreachable servers and cancelled requests', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(api.sendMessage({})).rejects.toMatchObject({ status: 0, message: 'Cannot reach the server. Check your connection.' });
+    fetch.mockRejectedValue(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+    await expect(api.getUsers()).rejects.toMatchObject({ aborted: true });
+  });
+});
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeout.
+describe('api against the mock backend', () => {
+  test('answers unknown routes with 404 and stale tokens with an ended session', async () => {
+    const mock = loadWithMockBackend();
+    mock.AuthStorage.setAuth({ token: 'stale' });
+    mock.api.onUnauthorized = jest.fn();
+    await expect(mock.api._request('/nowhere')).rejects.toMatchObject({ status: 404, message: 'No mock route for GET /nowhere' });
+    await expect(mock.api.getUsers()).rejects.toMatchObject({ status: 401, sessionEnded: true });
+    expect(mock.api.onUnauthorized).toHaveBeenCalledTimes(1);
+    expect(mock.AuthStorage.getAuth()).toBeNull();
+  }, 30000);
+});
@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+import { E2E } from './walletapl';
+
+describe('E2E', () => {
+  let alice, bob;
+  beforeAll(async () => { alice = await E2E.deriveKeyPair(ethers.Wallet.createRandom()); bob = await E2E.deriveKeyPair(ethers.Wallet.createRandom()); });
+
+  test('derives the same key from the same wallet', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    expect((await E2E.deriveKeyPair(wallet)).publicKey).toBe((await E2E.deriveKeyPair(wallet)).publicKey);
+  });
+
+  test('both ends can open a sealed message and outsiders cannot', async () => {
+    const sealed = await E2E.seal('meet at noon', alice, bob.publicKey);
+    expect(E2E.isSealed(sealed)).toBe(true);
+    expect(sealed).not.toContain('meet at noon');
+    expect(await E2E.open(sealed, bob)).toBe('meet at noon');
+    expect(await E2E.open(sealed, alice)).toBe('meet at noon');
+    await expect(E2E.open(sealed, await E2E.deriveKeyPair(ethers.Wallet.createRandom()))).rejects.toThrow('Message was not sealed for this key');
+  });
+
+  test('rejects tampered ciphertext', async () => {
+    const env = JSON.parse((await E2E.seal('hi', alice, bob.publicKey)).slice('e2e1:'.length));
+    const ct = ethers.decodeBase64(env.ct); ct[0] ^= 1;
+    await expect(E2E.open(`e2e1:${JSON.stringify({ ...env, ct: ethers.encodeBase64(ct) })}`, bob)).rejects.toThrow();
+  });
+
+  test('only trusts keys signed by the owner wallet', async () => {
+    const wallet = ethers.Wallet.createRandom(), { publicKey } = await E2E.deriveKeyPair(wallet);
+    const user = { walletAddress: wallet.address, encryptionKey: publicKey, encryptionKeySig: await wallet.signMessage(E2E.publishMessage(publicKey)) };
+    expect(E2E.isVerified(user)).toBe(true);
+    expect(E2E.isVerified({ ...user, encryptionKey: alice.publicKey })).toBe(false);
+    expect(E2E.isVerified({ ...user, encryptionKeySig: undefined })).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+import { ethers } from 'ethers';
+import { loadWithMockBackend, mockAccounts } from './testUtils';
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeouts.
+describe('conversations, paging and search against the mock backend', () => {
+  let mock, accounts;
+  const sent = [];
+  beforeAll(async () => {
+    mock = loadWithMockBackend(); accounts = mockAccounts(mock);
+    for (const name of ['alice', 'bob', 'carol']) await accounts.register(name, ethers.Wallet.createRandom());
+    accounts.as('bob');
+    for (const text of ['Lunch at noon?', 'e2e1:sealed', 'See you at LUNCH']) sent.push((await mock.api.sendMessage({ receiver: 'alice', text })).message);
+    accounts.as('carol');
+    sent.push((await mock.api.sendMessage({ receiver: 'alice', text: 'lunch tomorrow' })).message);
+  }, 30000);
+
+  test('pages a thread from the newest message back', async () => {
+    accounts.as('alice');
+    expect(await mock.api.getMessages('alice', 'bob', { limit: 2 })).toEqual(sent.slice(1, 3));
+    expect(await mock.api.getMessages('alice', 'bob', { limit: 2, before: sent[1].createdAt })).toEqual([sent[0]]);
+    expect(await mock.api.getMessages('alice', 'bob')).toEqual(sent.slice(0, 3));
+  }, 30000);
+
+  test('lists each conversation with its latest message', async () => {
+    accounts.as('alice');
+    expect(await mock.api.getConversations()).toEqual([{ partner: 'bob', lastMessage: sent[2] }, { partner: 'carol', lastMessage: sent[3] }]);
+  }, 30000);
+
+  test('search matches readable text across conversations, newest first', async () => {
+    accounts.as('alice');
+    const readText = async (text) => (text.startsWith('e2e1:') ? null : text);
+    const results = await mock.searchMessages('alice', ['bob', 'carol'], 'lunch', readText);
+    expect(results.map((r) => [r.partner, r.text])).toEqual([['carol', 'lunch tomorrow'], ['bob', 'See you at LUNCH'], ['bob', 'Lunch at noon?']]);
+    expect(results[0]).toEqual({ partner: 'carol', id: sent[3]._id, createdAt: sent[3].createdAt, text: 'lunch tomorrow' });
+    expect(await mock.searchMessages('alice', ['bob'], 'sealed', readText)).toEqual([]);
+  }, 30000);
+});
@@ -0,0 +1,87 @@
+import { ethers } from 'ethers';
+import { Siwe, Moderation } from './walletapl';
+import { loadWithMockBackend, mockAccounts } from './testUtils';
+
+const signSiwe = async (wallet, fields = {}) => {
+  const message = Siwe.build({ address: wallet.address, chainId: 56, nonce: 'abc123', ...fields });
+  return { message, signature: await wallet.signMessage(message) };
+};
+
+describe('Moderation.verify', () => {
+  const admin = ethers.Wallet.createRandom();
+  const confirm = async (fields = {}, wallet = admin) => {
+    const message = Moderation.confirmMessage({ action: 'delete-user', target: 'bob', address: wallet.address, ...fields });
+    return { message, signature: await wallet.signMessage(message) };
+  };
+  const expected = { action: 'delete-user', target: 'bob', address: admin.address };
+
+  test('accepts a fresh confirmation for the same action and target', async () => {
+    expect(Moderation.verify(await confirm(), expected)).toBeNull();
+  });
+
+  test('rejects a confirmation for another action, target or wallet', async () => {
+    expect(Moderation.verify(await confirm({ target: 'alice' }), expected)).toBe('Confirmation was signed for a different action');
+    expect(Moderation.verify(await confirm({ action: 'delete-message' }), expected)).toBe('Confirmation was signed for a different action');
+    expect(Moderation.verify(await confirm({}, ethers.Wallet.createRandom()), expected)).toBe('Confirmation was signed for another wallet');
+  });
+
+  test('rejects stale, unsigned or foreign messages', async () => {
+    expect(Moderation.verify(await confirm({ issuedAt: new Date(Date.now() - 10 * 60 * 1000) }), expected)).toBe('Confirmation has expired. Please sign again.');
+    const forged = await confirm();
+    expect(Moderation.verify({ ...forged, signature: await ethers.Wallet.createRandom().signMessage(forged.message) }, expected)).toBe('Signature does not match the wallet');
+    expect(Moderation.verify(undefined, expected)).toBe('Malformed confirmation');
+    const siwe = await signSiwe(admin);
+    expect(Moderation.verify(siwe, expected)).toBe('Malformed confirmation');
+  });
+});
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeout.
+test('reporting and moderating against the mock backend', async () => {
+  const mock = loadWithMockBackend(), { api } = mock, { signIn, register, as } = mockAccounts(mock);
+  const confirm = async (wallet, action, target) => {
+    const message = Moderation.confirmMessage({ action, target, address: wallet.address });
+    return { message, signature: await wallet.signMessage(message) };
+  };
+  const adminWallet = ethers.Wallet.createRandom(), bobWallet = ethers.Wallet.createRandom();
+  expect(await register('admin1', adminWallet)).toMatchObject({ role: 'admin', status: 'active' });
+  expect(await register('bob', bobWallet)).toMatchObject({ role: 'user' });
+
+  as('bob');
+  const sent = [];
+  for (let i = 0; i < 3; i++) sent.push((await api.sendMessage({ receiver: 'admin1', text: `spam ${i}` })).message);
+  await expect(api.getReports()).rejects.toMatchObject({ status: 403 });
+
+  as('admin1');
+  await api.reportMessage(sent[2]._id, { reason: 'Spam', excerpt: 'spam 2' });
+  await expect(api.reportMessage(sent[2]._id, { reason: 'Spam' })).rejects.toMatchObject({ status: 409 });
+  await api.hideMessage(sent[0]._id);
+  expect(await api.getMessages('admin1', 'bob')).toHaveLength(2);
+  as('bob');
+  expect(await api.getMessages('bob', 'admin1')).toHaveLength(3);
+  await expect(api.reportMessage(sent[2]._id, { reason: 'Spam' })).rejects.toMatchObject({ status: 404 });
+
+  as('admin1');
+  expect(await api.getReports()).toEqual([expect.objectContaining({ reporter: 'admin1', sender: 'bob', messageId: sent[2]._id })]);
+  await api.setUserStatus('bob', 'muted');
+  await expect(api.setUserStatus('admin1', 'muted')).rejects.toMatchObject({ status: 400 });
+  as('bob');
+  await expect(api.sendMessage({ receiver: 'admin1', text: 'still here' })).rejects.toMatchObject({ status: 403 });
+
+  as('admin1');
+  await expect(api.deleteConversation('admin1', 'bob', await confirm(adminWallet, 'delete-conversation', 'bob/admin1'))).rejects.toMatchObject({ status: 403 });
+  await expect(api.deleteConversation('admin1', 'bob', await confirm(bobWallet, 'delete-conversation', 'admin1/bob'))).rejects.toMatchObject({ status: 403 });
+  const confirmation = await confirm(adminWallet, 'delete-conversation', 'admin1/bob');
+  expect(await api.deleteConversation('admin1', 'bob', confirmation)).toEqual({ success: true, deleted: 3 });
+  await expect(api.deleteConversation('admin1', 'bob', confirmation)).rejects.toMatchObject({ message: 'This confirmation was already used' });
+  expect(await api.getReports()).toEqual([]);
+
+  await api.setUserStatus('bob', 'blocked');
+  as('bob');
+  await expect(api.getUsers()).rejects.toMatchObject({ status: 401, sessionEnded: true });
+  await expect(api.siweLogin(await signIn(bobWallet))).rejects.toMatchObject({ status: 403 });
+
+  as('admin1');
+  expect((await api.getUsers()).map((u) => u.username)).toContain('bob');
+  await api.deleteUser('bob', await confirm(adminWallet, 'delete-user', 'bob'));
+  expect((await api.getUsers()).map((u) => u.username)).not.toContain('bob');
+}, 30000);
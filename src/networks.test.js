@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import { NETWORKS, NetworkStorage, TokenStorage, findNetwork, tokensFor, lookupToken } from './walletapl';
+
+const custom = { chainId: '0xa4b1', chainName: 'Arbitrum One', rpcUrls: ['https://arbitrum.example'], nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, blockExplorerUrls: [], explorerName: 'Explorer', tokens: [], custom: true };
+
+describe('network registry', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('finds built-in and custom networks by hex or decimal chain id', () => {
+    expect(findNetwork(56)).toBe(NETWORKS[0]);
+    expect(findNetwork('0x38')).toBe(NETWORKS[0]);
+    expect(findNetwork('0xa4b1')).toBeUndefined();
+    NetworkStorage.addCustom(custom);
+    expect(findNetwork(42161)).toEqual(custom);
+    expect(findNetwork(null)).toBeNull();
+  });
+
+  test('re-adding a custom network replaces it', () => {
+    NetworkStorage.addCustom(custom);
+    NetworkStorage.addCustom({ ...custom, chainName: 'Renamed' });
+    expect(NetworkStorage.getCustom()).toEqual([{ ...custom, chainName: 'Renamed' }]);
+  });
+
+  test('remembers the active network and falls back to the first one', () => {
+    expect(NetworkStorage.getActive()).toBe(NETWORKS[0].chainId);
+    NetworkStorage.setActive('0x89');
+    NetworkStorage.addCustom(custom);
+    expect(NetworkStorage.getActive()).toBe('0x89');
+  });
+});
+
+describe('imported tokens', () => {
+  beforeEach(() => localStorage.clear());
+  const wallet = ethers.Wallet.createRandom().address, other = ethers.Wallet.createRandom().address;
+  const token = { symbol: 'CAKE', address: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82', decimals: 18 };
+
+  test('are kept per wallet and chain, after the built-in ones', () => {
+    TokenStorage.add(wallet.toUpperCase().replace('0X', '0x'), NETWORKS[0].chainId, token);
+    expect(tokensFor(wallet, NETWORKS[0])).toEqual([...NETWORKS[0].tokens, token]);
+    expect(tokensFor(other, NETWORKS[0])).toEqual(NETWORKS[0].tokens);
+    expect(tokensFor(wallet, NETWORKS[1])).toEqual(NETWORKS[1].tokens);
+    expect(TokenStorage.list(null, NETWORKS[0].chainId)).toEqual([]);
+  });
+});
+
+describe('lookupToken', () => {
+  afterEach(() => jest.restoreAllMocks());
+  const erc20 = new ethers.Interface(['function decimals() view returns (uint8)', 'function symbol() view returns (string)']);
+
+  test('reads the symbol and decimals from the chain', async () => {
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'call').mockImplementation(async ({ data }) => {
+      const fn = erc20.getFunction(data.slice(0, 10));
+      return erc20.encodeFunctionResult(fn, [fn.name === 'symbol' ? 'CAKE' : 6]);
+    });
+    expect(await lookupToken(NETWORKS[0], '0x0e09fabb73bd3ade0a17ecc321fd13a19e81ce82')).toEqual({ symbol: 'CAKE', address: '0x0E09FaBB73Bd3Ade0a17ECC321fD13a19e81cE82', decimals: 6 });
+  });
+
+  test('fails for an address without a token contract', async () => {
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'call').mockResolvedValue('0x');
+    await expect(lookupToken(NETWORKS[0], ethers.Wallet.createRandom().address)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+import { OutboxStorage, createLiveChannel } from './walletapl';
+import { loadWithMockBackend, mockAccounts } from './testUtils';
+
+describe('OutboxStorage', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('keeps each user\'s unsent messages apart', () => {
+    OutboxStorage.set('alice', [{ clientId: 'a1' }]);
+    OutboxStorage.set('bob', [{ clientId: 'b1' }]);
+    expect(OutboxStorage.get('alice')).toEqual([{ clientId: 'a1' }]);
+    OutboxStorage.clear('alice');
+    expect(OutboxStorage.get('alice')).toEqual([]);
+    expect(OutboxStorage.get('bob')).toEqual([{ clientId: 'b1' }]);
+  });
+
+  test('treats unreadable storage as empty', () => {
+    localStorage.setItem('secureChatOutbox:alice', '{not json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(OutboxStorage.get('alice')).toEqual([]);
+  });
+});
+
+class FakeSocket {
+  static OPEN = 1;
+  constructor(url) { this.url = url; this.readyState = 0; this.sent = []; FakeSocket.all.push(this); }
+  send(data) { this.sent.push(data); }
+  close() { this.readyState = 3; }
+  open() { this.readyState = FakeSocket.OPEN; this.onopen?.(); }
+  drop() { this.readyState = 3; this.onclose?.(); }
+}
+
+describe('createLiveChannel', () => {
+  const realWebSocket = global.WebSocket;
+  const latest = () => FakeSocket.all[FakeSocket.all.length - 1];
+  let channel, events, statuses, poll;
+  beforeEach(() => {
+    FakeSocket.all = []; global.WebSocket = FakeSocket; jest.useFakeTimers();
+    events = []; statuses = []; poll = jest.fn();
+    channel = createLiveChannel({ token: 't0k', onEvent: (e) => events.push(e), onStatus: (s) => statuses.push(s), poll });
+  });
+  afterEach(() => { channel.close(); jest.useRealTimers(); global.WebSocket = realWebSocket; });
+
+  test('delivers events once the socket opens and catches up on what was missed', () => {
+    expect(latest().url).toMatch(/\?token=t0k$/);
+    latest().open();
+    expect(statuses).toEqual(['live']);
+    expect(poll).toHaveBeenCalledTimes(1);
+    latest().onmessage({ data: JSON.stringify({ type: 'message', message: { text: 'hi' } }) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    latest().onmessage({ data: 'not json' });
+    expect(events).toEqual([{ type: 'message', message: { text: 'hi' } }]);
+    channel.send({ type: 'typing', to: 'bob' });
+    expect(latest().sent).toEqual([JSON.stringify({ type: 'typing', to: 'bob' })]);
+  });
+
+  test('polls while the socket stays down and stops once it is back', () => {
+    latest().drop();
+    expect(statuses).toEqual(['reconnecting']);
+    jest.advanceTimersByTime(2000); latest().drop();
+    jest.advanceTimersByTime(4000); latest().drop();
+    expect(statuses).toEqual(['reconnecting', 'reconnecting', 'polling']);
+    expect(poll).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(5000);
+    expect(poll).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(3000);
+    latest().open();
+    expect(statuses[statuses.length - 1]).toBe('live');
+    const polls = poll.mock.calls.length;
+    jest.advanceTimersByTime(20000);
+    expect(poll).toHaveBeenCalledTimes(polls);
+  });
+
+  test('does not reconnect after it is closed', () => {
+    channel.close();
+    jest.advanceTimersByTime(60000);
+    expect(FakeSocket.all).toHaveLength(1);
+    expect(statuses).toEqual([]);
+  });
+});
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeouts.
+describe('sending messages', () => {
+  let api, accounts;
+  beforeAll(async () => {
+    const mod = loadWithMockBackend();
+    api = mod.api; accounts = mockAccounts(mod);
+    await accounts.register('alice', ethers.Wallet.createRandom());
+    await accounts.register('bob', ethers.Wallet.createRandom());
+  }, 30000);
+
+  test('a retried send with the same clientId is stored once', async () => {
+    accounts.as('alice');
+    const first = await api.sendMessage({ receiver: 'bob', text: 'hi', clientId: 'local-1' });
+    const retry = await api.sendMessage({ receiver: 'bob', text: 'hi', clientId: 'local-1' });
+    expect(retry.message).toEqual(first.message);
+    await api.sendMessage({ receiver: 'bob', text: 'hi', clientId: 'local-2' });
+    accounts.as('bob');
+    await api.sendMessage({ receiver: 'alice', text: 'hi', clientId: 'local-1' });
+    expect((await api.getMessages('alice', 'bob')).map((m) => [m.sender, m.clientId])).toEqual([['alice', 'local-1'], ['alice', 'local-2'], ['bob', 'local-1']]);
+  }, 30000);
+
+  test('the inbox poll returns only messages received after the given time', async () => {
+    accounts.as('bob');
+    const inbox = await api.getInbox('bob', '');
+    expect(inbox.map((m) => m.clientId)).toEqual(['local-1', 'local-2']);
+    expect(await api.getInbox('bob', inbox[1].createdAt)).toEqual([]);
+    await expect(api.getInbox('alice', '')).resolves.toEqual([]);
+  }, 30000);
+});
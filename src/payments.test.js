@@ -0,0 +1,99 @@
+import { ethers } from 'ethers';
+import { paymentMatches, verifyPayment, NETWORKS } from './walletapl';
+import { loadWithMockBackend, mockAccounts } from './testUtils';
+
+const bsc = NETWORKS[0];
+const usdt = { ...bsc.tokens[0], decimals: 18 };
+const sender = ethers.Wallet.createRandom().address, recipient = ethers.Wallet.createRandom().address;
+const ERC20 = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+const transferLog = (token, from, to, value) => ({ address: token, ...ERC20.encodeEventLog(ERC20.getEvent('Transfer'), [from, to, value]) });
+
+describe('paymentMatches', () => {
+  const native = { token: 'BNB', chainId: bsc.chainId, amount: '1.5' };
+  const nativeTx = { from: sender, to: recipient, value: ethers.parseEther('1.5') };
+  const check = (fields) => paymentMatches({ transfer: native, net: bsc, from: sender, to: recipient, tx: nativeTx, receipt: { logs: [] }, ...fields });
+
+  test('accepts a native transfer of the stated amount between the two wallets', () => {
+    expect(check()).toBe(true);
+  });
+
+  test('rejects native transfers that differ from the claim', () => {
+    expect(check({ tx: { ...nativeTx, value: 0n } })).toBe(false);
+    expect(check({ tx: { ...nativeTx, to: sender } })).toBe(false);
+    expect(check({ tx: { ...nativeTx, from: recipient } })).toBe(false);
+    expect(check({ transfer: { ...native, amount: '1000' } })).toBe(false);
+    expect(check({ transfer: { ...native, token: 'ETH' } })).toBe(false);
+    expect(check({ to: 'not-an-address' })).toBe(false);
+  });
+
+  const erc20 = { token: 'USDT', tokenAddress: usdt.address, chainId: bsc.chainId, amount: '25' };
+  const receipt = (...logs) => ({ logs });
+  const checkToken = (fields) => paymentMatches({ transfer: erc20, net: bsc, token: usdt, from: sender, to: recipient, tx: null, receipt: receipt(transferLog(usdt.address, sender, recipient, ethers.parseUnits('25', 18))), ...fields });
+
+  test('accepts an ERC-20 Transfer log matching token, wallets and amount', () => {
+    expect(checkToken()).toBe(true);
+  });
+
+  test('rejects ERC-20 claims the logs do not back up', () => {
+    expect(checkToken({ receipt: receipt(transferLog(usdt.address, sender, recipient, ethers.parseUnits('1', 18))) })).toBe(false);
+    expect(checkToken({ receipt: receipt(transferLog(usdt.address, sender, sender, ethers.parseUnits('25', 18))) })).toBe(false);
+    expect(checkToken({ receipt: receipt(transferLog(bsc.tokens[1].address, sender, recipient, ethers.parseUnits('25', 18))) })).toBe(false);
+    expect(checkToken({ receipt: receipt() })).toBe(false);
+    expect(checkToken({ token: undefined })).toBe(false);
+    expect(checkToken({ transfer: { ...erc20, token: 'USDC' } })).toBe(false);
+  });
+});
+
+describe('verifyPayment', () => {
+  afterEach(() => jest.restoreAllMocks());
+  const stubChain = (receipt, tx) => {
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'waitForTransaction').mockResolvedValue(receipt);
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'getTransaction').mockResolvedValue(tx);
+  };
+  const args = { transfer: { token: 'BNB', chainId: bsc.chainId, amount: '2' }, txHash: '0x' + '11'.repeat(32), net: bsc, knownTokens: bsc.tokens, from: sender, to: recipient };
+
+  test('confirms only a successful transaction that matches', async () => {
+    stubChain({ status: 1, logs: [] }, { from: sender, to: recipient, value: ethers.parseEther('2') });
+    expect(await verifyPayment(args)).toBe('confirmed');
+  });
+
+  test('a successful but unrelated transaction stays unverified', async () => {
+    stubChain({ status: 1, logs: [] }, { from: sender, to: sender, value: 0n });
+    expect(await verifyPayment(args)).toBe('unverified');
+  });
+
+  test('a reverted transaction is failed', async () => {
+    stubChain({ status: 0, logs: [] }, null);
+    expect(await verifyPayment(args)).toBe('failed');
+  });
+
+  test('tokens the viewer does not know are never confirmed', async () => {
+    const junk = ethers.Wallet.createRandom().address;
+    stubChain({ status: 1, logs: [transferLog(junk, sender, recipient, ethers.parseUnits('2', 18))] }, null);
+    expect(await verifyPayment({ ...args, transfer: { token: 'USDT', tokenAddress: junk, chainId: bsc.chainId, amount: '2' } })).toBe('unverified');
+  });
+});
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeout.
+describe('payment messages', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('the recipient judges a payment by the chain, not by what the sender says', async () => {
+    const mock = loadWithMockBackend(), accounts = mockAccounts(mock);
+    const aliceWallet = ethers.Wallet.createRandom(), bobWallet = ethers.Wallet.createRandom();
+    await accounts.register('alice', aliceWallet); await accounts.register('bob', bobWallet);
+    accounts.as('alice');
+    const txHash = '0x' + '22'.repeat(32);
+    await mock.api.sendMessage({ receiver: 'bob', text: 'Sent 3 BNB', txHash, status: 'confirmed', transfer: { token: 'BNB', chainId: bsc.chainId, amount: '3', to: bobWallet.address } });
+
+    accounts.as('bob');
+    const [m] = await mock.api.getMessages('alice', 'bob');
+    const users = await mock.api.getUsers(), walletOf = (name) => users.find((u) => u.username === name).walletAddress;
+    const check = () => mock.verifyPayment({ transfer: m.transfer, txHash: m.txHash, net: bsc, knownTokens: bsc.tokens, from: walletOf(m.sender), to: walletOf(m.receiver) });
+    jest.spyOn(mock.ethers.JsonRpcProvider.prototype, 'waitForTransaction').mockResolvedValue({ status: 1, logs: [] });
+    const getTransaction = jest.spyOn(mock.ethers.JsonRpcProvider.prototype, 'getTransaction').mockResolvedValue({ from: aliceWallet.address, to: aliceWallet.address, value: ethers.parseEther('3') });
+    expect(await check()).toBe('unverified');
+    getTransaction.mockResolvedValue({ from: aliceWallet.address, to: bobWallet.address, value: ethers.parseEther('3') });
+    expect(await check()).toBe('confirmed');
+  }, 30000);
+});
@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom leaves out the WebCrypto and encoding APIs that E2E relies on; borrow Node's. Node's byte arrays
+// come from another realm, so the global Uint8Array is swapped too or ethers' instanceof checks reject them.
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+Object.assign(global, { TextEncoder, TextDecoder, Uint8Array: Object.getPrototypeOf(Buffer.prototype).constructor });
@@ -0,0 +1,70 @@
+import { createRemoteProvider, buildSignerUri, parseSignerUri } from './walletapl';
+
+const { setImmediate: realSetImmediate } = jest.requireActual('timers');
+const settle = async () => { for (let i = 0; i < 20; i++) await new Promise((r) => realSetImmediate(r)); };
+
+describe('parseSignerUri', () => {
+  test('round-trips a generated pairing URI', () => {
+    const uri = buildSignerUri(), parsed = parseSignerUri(uri);
+    expect(parsed).toEqual({ topic: expect.stringMatching(/^[0-9a-f]{32}$/), relay: 'local://', key: expect.stringMatching(/^0x[0-9a-f]{64}$/) });
+    expect(uri).toContain(parsed.topic);
+  });
+
+  test('rejects other schemes and incomplete URIs', () => {
+    const uri = buildSignerUri();
+    expect(parseSignerUri(null)).toBeNull();
+    expect(parseSignerUri(uri.replace('cscsigner:', 'wc:'))).toBeNull();
+    expect(parseSignerUri(uri.replace(/key=[^&]+/, ''))).toBeNull();
+    expect(parseSignerUri(`cscsigner:1234?relay=local%3A%2F%2F&key=0x00`)).toBeNull();
+  });
+});
+
+class FakeSocket {
+  static OPEN = 1;
+  constructor(url) { this.url = url; this.readyState = 0; this.sent = []; FakeSocket.all.push(this); }
+  send(data) { this.sent.push(data); }
+  close() { this.readyState = 3; }
+  open() { this.readyState = FakeSocket.OPEN; this.onopen?.(); }
+  drop() { this.readyState = 3; this.onclose?.(); }
+}
+
+describe('remote signer over a WebSocket relay', () => {
+  const realWebSocket = global.WebSocket;
+  const uri = () => buildSignerUri().replace('relay=local%3A%2F%2F', 'relay=wss%3A%2F%2Frelay.test');
+  const session = { accounts: ['0x0000000000000000000000000000000000000001'], chainId: '0x38' };
+  const latest = () => FakeSocket.all[FakeSocket.all.length - 1];
+  beforeEach(() => { FakeSocket.all = []; global.WebSocket = FakeSocket; jest.useFakeTimers(); });
+  afterEach(() => { jest.useRealTimers(); global.WebSocket = realWebSocket; });
+
+  test('pairing gives up when no wallet approves in time', async () => {
+    const provider = await createRemoteProvider(uri());
+    const accounts = provider.request({ method: 'eth_requestAccounts' });
+    jest.advanceTimersByTime(3 * 60 * 1000);
+    await expect(accounts).rejects.toMatchObject({ code: 4900, message: 'No wallet approved the pairing in time.' });
+  });
+
+  test('a dropped socket is reopened and sends what was queued', async () => {
+    const provider = await createRemoteProvider(uri(), session);
+    latest().open();
+    latest().drop();
+    provider.request({ method: 'personal_sign', params: ['0x00', session.accounts[0]] }).catch(() => {});
+    await settle();
+    jest.advanceTimersByTime(1000);
+    expect(FakeSocket.all).toHaveLength(2);
+    latest().open();
+    expect(latest().sent).toHaveLength(1);
+    provider.disconnect();
+  });
+
+  test('losing the relay for good rejects waiting requests and reports a disconnect', async () => {
+    const provider = await createRemoteProvider(uri(), session), onDisconnect = jest.fn();
+    provider.on('disconnect', onDisconnect);
+    const signature = provider.request({ method: 'personal_sign', params: ['0x00', session.accounts[0]] });
+    for (let i = 1; i <= 3; i++) { latest().drop(); jest.advanceTimersByTime(1000 * i); }
+    expect(FakeSocket.all).toHaveLength(4);
+    latest().drop();
+    await expect(signature).rejects.toMatchObject({ code: 4900, message: 'Lost the connection to the signer relay.' });
+    expect(onDisconnect).toHaveBeenCalledWith(expect.objectContaining({ code: 4900 }));
+    expect(await provider.request({ method: 'eth_accounts' })).toEqual([]);
+  });
+});
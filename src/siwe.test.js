@@ -0,0 +1,46 @@
+import { ethers } from 'ethers';
+import { Siwe } from './walletapl';
+import { loadWithMockBackend, mockAccounts } from './testUtils';
+
+const signSiwe = async (wallet, fields = {}) => {
+  const message = Siwe.build({ address: wallet.address, chainId: 56, nonce: 'abc123', ...fields });
+  return { message, signature: await wallet.signMessage(message) };
+};
+
+describe('Siwe.verify', () => {
+  const wallet = ethers.Wallet.createRandom();
+
+  test('accepts a fresh message signed by the expected wallet', async () => {
+    expect(Siwe.verify(await signSiwe(wallet), { address: wallet.address, nonce: 'abc123' })).toBeNull();
+  });
+
+  test('rejects a mismatched nonce, wallet or signature', async () => {
+    const siwe = await signSiwe(wallet);
+    expect(Siwe.verify(siwe, { nonce: 'other' })).toBe('Sign-in nonce does not match');
+    expect(Siwe.verify(siwe, { address: ethers.Wallet.createRandom().address })).toBe('Sign-in message is for another wallet');
+    expect(Siwe.verify({ ...siwe, message: siwe.message.replace('Chain ID: 56', 'Chain ID: 1') })).toBe('Signature does not match the wallet');
+    expect(Siwe.verify({ ...siwe, signature: '0x1234' })).toBe('Invalid signature');
+  });
+
+  test('rejects expired, foreign or malformed messages', async () => {
+    expect(Siwe.verify(await signSiwe(wallet, { issuedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) }))).toBe('Sign-in has expired');
+    const siwe = await signSiwe(wallet);
+    const foreign = siwe.message.replace(/^\S+ wants/, 'evil.example wants');
+    expect(Siwe.verify({ message: foreign, signature: await wallet.signMessage(foreign) })).toBe('Sign-in message was issued for another site');
+    expect(Siwe.verify({ message: 'hello', signature: siwe.signature })).toBe('Malformed sign-in message');
+  });
+});
+
+// Every mock request waits 150 ms to behave like a network, hence the longer timeout.
+describe('sign-in against the mock backend', () => {
+  test('a new wallet registers once and each nonce signs in once', async () => {
+    const mock = loadWithMockBackend(), { signIn, register } = mockAccounts(mock), wallet = ethers.Wallet.createRandom();
+    expect(await mock.api.siweLogin(await signIn(wallet))).toEqual({ success: false, needsProfile: true });
+    expect(await register('alice', wallet)).toMatchObject({ username: 'alice', walletAddress: wallet.address });
+    await expect(register('Alice', ethers.Wallet.createRandom())).rejects.toMatchObject({ status: 409 });
+
+    const siwe = await signIn(wallet);
+    expect(await mock.api.siweLogin(siwe)).toMatchObject({ success: true, token: expect.any(String), user: { username: 'alice' } });
+    await expect(mock.api.siweLogin(siwe)).rejects.toMatchObject({ status: 401, message: 'Sign-in nonce does not match' });
+  }, 30000);
+});
@@ -0,0 +1,30 @@
+// Shared by the tests that run against the in-memory mock backend.
+
+// The mock backend is chosen when the module loads, so each caller gets a fresh copy with the flag set, and with it
+// an empty mock database. The copy has its own ethers too; stub chain calls on the `ethers` returned alongside it.
+export const loadWithMockBackend = () => {
+  let mod;
+  process.env.REACT_APP_API_MOCK = 'true';
+  try {
+    jest.isolateModules(() => { mod = { ...require('./walletapl'), ethers: require('ethers') }; });
+  } finally { delete process.env.REACT_APP_API_MOCK; }
+  return mod;
+};
+
+// Registers wallets as mock users and switches between their sessions.
+export const mockAccounts = ({ api, AuthStorage, Siwe }) => {
+  const tokens = {};
+  const signIn = async (wallet) => {
+    const { nonce } = await api.getNonce(wallet.address);
+    const message = Siwe.build({ address: wallet.address, chainId: 56, nonce });
+    return { message, signature: await wallet.signMessage(message) };
+  };
+  const register = async (username, wallet) => {
+    const siwe = await signIn(wallet);
+    const res = await api.register({ username, email: `${username}@example.com`, walletAddress: wallet.address, siwe });
+    tokens[username] = res.token;
+    return res.user;
+  };
+  const as = (username) => AuthStorage.setAuth({ token: tokens[username] });
+  return { signIn, register, as };
+};
@@ -1,7 +1,9 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useLayoutEffect, useRef } from "react";
 import { motion, AnimatePresence } from 'framer-motion';
-import { User, Send, LogOut, Wallet as WalletIcon, Unlock, ArrowLeft } from 'lucide-react';
+import { User, Send, LogOut, Wallet as WalletIcon, ArrowLeft, Eye, Coins, ExternalLink, CheckCircle2, XCircle, Loader2, Lock, ShieldCheck, ShieldAlert, Clock, Wifi, WifiOff, RefreshCw, Plus, Globe, Activity, Download, ArrowDownLeft, ArrowUpRight, X, Info, AlertTriangle, Search, QrCode, Copy, Trash2, Flag, Shield, Ban, VolumeX, Volume2, UserX, MessagesSquare } from 'lucide-react';
 import { ethers } from 'ethers';
+import QRCode from 'qrcode';
+import USDT_ABI from './usdtAbi.json';
 
 // --- Futuristic UI Styles ---
 const FuturisticStyles = () => (
@@ -22,24 +24,163 @@ const FuturisticStyles = () => (
 );
 
 // --- Backend API wrapper ---
-const API_BASE = "https://chatbackend-ziin.onrender.com/api"; 
+// Configured through REACT_APP_* variables (see .env.example). REACT_APP_API_MOCK=true swaps the network for the in-memory backend below.
+const API_BASE = (process.env.REACT_APP_API_BASE || "https://chatbackend-ziin.onrender.com/api").replace(/\/$/, "");
+const API_MOCK = process.env.REACT_APP_API_MOCK === "true";
+const API_RETRIES = 2;
+const API_RETRY_BASE_MS = 500;
+
+class ApiError extends Error {
+  constructor(message, { status = 0, body = null, aborted = false, sessionEnded = false } = {}) { super(message); this.name = "ApiError"; this.status = status; this.body = body; this.aborted = aborted; this.sessionEnded = sessionEnded; }
+}
+// Text for a toast, or null when the failure needs no message (cancelled requests, or a 401 that already logged the user out).
+const errorText = (e, fallback) => (e instanceof ApiError ? (e.aborted || e.sessionEnded ? null : e.message) : fallback);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const api = {
-  _withAuth: (options = {}) => {
-    const auth = AuthStorage.getAuth();
-    if (auth?.token) {
-      return { ...options, headers: { ...options.headers, 'Authorization': `Bearer ${auth.token}` } };
+  onUnauthorized: null,
+  _request: async (path, { method = 'GET', body, signal } = {}) => {
+    const token = AuthStorage.getAuth()?.token;
+    const headers = { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...(token && { 'Authorization': `Bearer ${token}` }) };
+    const send = API_MOCK ? mockBackend.fetch : (...args) => fetch(...args);
+    // Only GETs are retried; a repeated POST could duplicate a message.
+    const retries = method === 'GET' ? API_RETRIES : 0;
+    for (let attempt = 0; ; attempt++) {
+      if (attempt > 0) { await sleep(API_RETRY_BASE_MS * 2 ** (attempt - 1)); if (signal?.aborted) throw new ApiError("Request cancelled", { aborted: true }); }
+      let response;
+      try { response = await send(`${API_BASE}${path}`, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal }); }
+      catch (e) {
+        if (e.name === 'AbortError') throw new ApiError("Request cancelled", { aborted: true });
+        if (attempt < retries) continue;
+        throw new ApiError("Cannot reach the server. Check your connection.");
+      }
+      const data = await response.json().catch(() => null);
+      if (response.ok) { if (data === null) throw new ApiError("The server sent an unreadable response.", { status: response.status }); return data; }
+      const sessionEnded = response.status === 401 && !!token;
+      if (sessionEnded && AuthStorage.getAuth()?.token === token) { AuthStorage.clearAuth(); api.onUnauthorized?.(); }
+      if ((response.status >= 500 || response.status === 429) && attempt < retries) continue;
+      throw new ApiError(data?.message || `Request failed (${response.status})`, { status: response.status, body: data, sessionEnded });
     }
-    return options;
   },
-  register: async (userData) => { const response = await fetch(`${API_BASE}/auth/register`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(userData) }); return response.json(); },
-  login: async (credentials) => { const response = await fetch(`${API_BASE}/auth/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(credentials) }); return response.json(); },
-  getUsers: async () => { const response = await fetch(`${API_BASE}/users`, api._withAuth()); return response.json(); },
-  deleteAllUsers: async () => { const response = await fetch(`${API_BASE}/users`, api._withAuth({ method: 'DELETE' })); return response.json(); },
-  getMessages: async (u1, u2) => { const response = await fetch(`${API_BASE}/messages/${u1}/${u2}`, api._withAuth()); return response.json(); },
-  sendMessage: async (messageData) => { const response = await fetch(`${API_BASE}/messages`, api._withAuth({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(messageData) })); return response.json(); },
-  deleteAllMessages: async () => { const response = await fetch(`${API_BASE}/messages`, api._withAuth({ method: 'DELETE' })); return response.json(); }
+  register: (userData) => api._request('/auth/register', { method: 'POST', body: userData }),
+  getNonce: (address) => api._request(`/auth/nonce/${address}`),
+  siweLogin: (siwe) => api._request('/auth/siwe', { method: 'POST', body: siwe }),
+  getUsers: () => api._request('/users'),
+  getInbox: (username, since) => api._request(`/messages/inbox/${username}?since=${encodeURIComponent(since)}`),
+  getConversations: () => api._request('/conversations'),
+  // Native-coin transfers of `address` between two blocks, newest first, as { hash, from, to, value (wei string), blockNumber, timestamp }.
+  // Served from the backend's explorer key so it never ships in the bundle; servers without an index answer 404.
+  getNativeTransfers: (chainId, address, fromBlock, toBlock) => api._request(`/activity/${chainId}/${address}/native?${new URLSearchParams({ fromBlock, toBlock })}`),
+  // Without `before`/`limit` the server returns the whole thread; with them, up to `limit` messages older than `before`, oldest first.
+  getMessages: (u1, u2, { before, limit, signal } = {}) => api._request(`/messages/${u1}/${u2}${limit ? `?${new URLSearchParams({ limit, ...(before && { before }) })}` : ""}`, { signal }),
+  publishKey: (keyData) => api._request('/users/key', { method: 'PUT', body: keyData }),
+  // `clientId` makes this idempotent: a repeat from the same sender returns the stored message instead of a new one, so
+  // the outbox can retry a send whose response was lost without the receiver seeing it twice.
+  sendMessage: (messageData) => api._request('/messages', { method: 'POST', body: messageData }),
+  hideMessage: (id) => api._request(`/messages/${id}`, { method: 'DELETE' }),
+  reportMessage: (id, report) => api._request(`/messages/${id}/report`, { method: 'POST', body: report }),
+  // Admin only. Deletions carry `confirmation`, a freshly signed Moderation message the server checks against the admin's wallet.
+  getReports: () => api._request('/admin/reports'),
+  dismissReport: (id) => api._request(`/admin/reports/${id}`, { method: 'DELETE' }),
+  setUserStatus: (username, status) => api._request(`/admin/users/${username}/status`, { method: 'PUT', body: { status } }),
+  deleteUser: (username, confirmation) => api._request(`/admin/users/${username}`, { method: 'DELETE', body: { confirmation } }),
+  deleteConversation: (u1, u2, confirmation) => api._request(`/admin/conversations/${u1}/${u2}`, { method: 'DELETE', body: { confirmation } }),
+  deleteMessage: (id, confirmation) => api._request(`/admin/messages/${id}`, { method: 'DELETE', body: { confirmation } }),
+};
+
+// --- In-memory mock backend ---
+// Implements the same routes as the live server so the app can be run and tested offline. State resets on reload.
+const createMockBackend = () => {
+  const db = { users: [{ username: "demo_peer", email: "demo@example.com", walletAddress: ethers.Wallet.createRandom().address, role: "user", status: "active" }], messages: [], reports: [], nonces: {}, sessions: {}, usedConfirmations: new Set() };
+  const reply = (status, data) => ({ ok: status >= 200 && status < 300, status, json: async () => data });
+  const findUser = (username) => db.users.find((u) => u.username === username);
+  const endSessions = (username) => Object.keys(db.sessions).forEach((t) => { if (db.sessions[t] === username) delete db.sessions[t]; });
+  const visibleTo = (me) => (m) => !m.hiddenFor?.includes(me);
+  const involves = (m, username) => m.sender === username || m.receiver === username;
+  const adminOnly = (handler) => (match, body, me, query) => (Moderation.isAdmin(findUser(me)) ? handler(match, body, me, query) : reply(403, { success: false, message: "Admins only" }));
+  const checkConfirmation = (confirmation, action, target, me) => {
+    const err = Moderation.verify(confirmation, { action, target, address: findUser(me).walletAddress }) || (db.usedConfirmations.has(confirmation.signature) && "This confirmation was already used");
+    if (!err) db.usedConfirmations.add(confirmation.signature);
+    return err;
+  };
+  const issueSession = (user, siwe) => { const token = ethers.hexlify(ethers.randomBytes(24)); db.sessions[token] = user.username; return { success: true, token, user, expiresAt: new Date(Siwe.expiresAt(siwe.message)).toISOString() }; };
+  const checkSiwe = (siwe) => { const f = Siwe.parse(siwe?.message); return f ? Siwe.verify(siwe, { nonce: db.nonces[f.address.toLowerCase()] || "-" }) : "Malformed sign-in message"; };
+  const routes = [
+    ['GET', /^\/auth\/nonce\/(0x[0-9a-fA-F]{40})$/, ([, addr]) => { const nonce = ethers.hexlify(ethers.randomBytes(8)).slice(2); db.nonces[addr.toLowerCase()] = nonce; return reply(200, { nonce }); }],
+    ['POST', /^\/auth\/siwe$/, (_, body) => {
+      const err = checkSiwe(body); if (err) return reply(401, { success: false, message: err });
+      const addr = Siwe.parse(body.message).address.toLowerCase(), user = db.users.find((u) => u.walletAddress.toLowerCase() === addr);
+      if (!user) return reply(200, { success: false, needsProfile: true });
+      if (user.status === "blocked") return reply(403, { success: false, message: "This account has been blocked by a moderator." });
+      delete db.nonces[addr]; return reply(200, issueSession(user, body));
+    }],
+    ['POST', /^\/auth\/register$/, (_, body) => {
+      const err = checkSiwe(body.siwe); if (err) return reply(401, { success: false, message: err });
+      if (db.users.some((u) => u.username.toLowerCase() === body.username.toLowerCase())) return reply(409, { success: false, message: "Username is taken" });
+      // The first profile on a fresh mock becomes its admin, so moderation can be tried offline.
+      const { siwe, ...profile } = body, user = { ...profile, walletAddress: Siwe.parse(siwe.message).address, role: db.users.some(Moderation.isAdmin) ? "user" : "admin", status: "active" };
+      db.users.push(user); delete db.nonces[user.walletAddress.toLowerCase()]; return reply(200, issueSession(user, siwe));
+    }],
+    ['GET', /^\/users$/, (_, __, me) => reply(200, Moderation.isAdmin(findUser(me)) ? db.users : db.users.filter((u) => u.status !== "blocked"))],
+    ['PUT', /^\/users\/key$/, (_, body, me) => { const user = db.users.find((u) => u.username === me); Object.assign(user, { encryptionKey: body.encryptionKey, encryptionKeySig: body.encryptionKeySig }); return reply(200, { success: true, user }); }],
+    ['GET', /^\/messages\/inbox\/([^/]+)$/, ([, u], _, me, query) => reply(200, db.messages.filter(visibleTo(me)).filter((m) => m.receiver === u && m.receiver === me && m.createdAt > (query.get("since") || "")))],
+    ['GET', /^\/conversations$/, (_, __, me) => { const latest = {}; db.messages.filter(visibleTo(me)).forEach((m) => { if (m.sender !== me && m.receiver !== me) return; latest[m.sender === me ? m.receiver : m.sender] = m; }); return reply(200, Object.entries(latest).map(([partner, lastMessage]) => ({ partner, lastMessage }))); }],
+    ['GET', /^\/messages\/([^/]+)\/([^/]+)$/, ([, u1, u2], _, me, query) => { const before = query.get("before"), limit = Number(query.get("limit")) || Infinity; const thread = db.messages.filter(visibleTo(me)).filter((m) => ((m.sender === u1 && m.receiver === u2) || (m.sender === u2 && m.receiver === u1)) && (!before || m.createdAt < before)); return reply(200, thread.slice(Math.max(thread.length - limit, 0))); }],
+    ['POST', /^\/messages$/, (_, body, me) => { if (findUser(me).status === "muted") return reply(403, { success: false, message: "You have been muted by a moderator." }); const sent = body.clientId && db.messages.find((m) => m.sender === me && m.clientId === body.clientId); if (sent) return reply(200, { success: true, message: sent }); const message = { ...body, _id: ethers.hexlify(ethers.randomBytes(12)).slice(2), sender: me, createdAt: new Date().toISOString() }; db.messages.push(message); return reply(200, { success: true, message }); }],
+    ['DELETE', /^\/messages\/([0-9a-f]+)$/, ([, id], _, me) => { const m = db.messages.find((x) => x._id === id && involves(x, me)); if (!m) return reply(404, { success: false, message: "Message not found" }); m.hiddenFor = [...(m.hiddenFor || []), me]; return reply(200, { success: true }); }],
+    ['POST', /^\/messages\/([0-9a-f]+)\/report$/, ([, id], body, me) => {
+      const m = db.messages.find((x) => x._id === id && x.receiver === me);
+      if (!m) return reply(404, { success: false, message: "Message not found" });
+      if (db.reports.some((r) => r.messageId === id && r.reporter === me)) return reply(409, { success: false, message: "You already reported this message." });
+      const report = { _id: ethers.hexlify(ethers.randomBytes(12)).slice(2), messageId: id, reporter: me, sender: m.sender, reason: body.reason, excerpt: body.excerpt, sentAt: m.createdAt, createdAt: new Date().toISOString() };
+      db.reports.push(report); return reply(200, { success: true, report });
+    }],
+    ['GET', /^\/admin\/reports$/, adminOnly(() => reply(200, db.reports))],
+    ['DELETE', /^\/admin\/reports\/([0-9a-f]+)$/, adminOnly(([, id]) => { db.reports = db.reports.filter((r) => r._id !== id); return reply(200, { success: true }); })],
+    ['PUT', /^\/admin\/users\/([^/]+)\/status$/, adminOnly(([, u], body, me) => {
+      const user = findUser(u);
+      if (!user) return reply(404, { success: false, message: "User not found" });
+      if (u === me) return reply(400, { success: false, message: "You cannot moderate your own account." });
+      if (!USER_STATUSES.includes(body.status)) return reply(400, { success: false, message: "Unknown status" });
+      user.status = body.status; if (body.status === "blocked") endSessions(u);
+      return reply(200, { success: true, user });
+    })],
+    ['DELETE', /^\/admin\/users\/([^/]+)$/, adminOnly(([, u], body, me) => {
+      if (!findUser(u)) return reply(404, { success: false, message: "User not found" });
+      if (u === me) return reply(400, { success: false, message: "You cannot delete your own account." });
+      const err = checkConfirmation(body.confirmation, "delete-user", u, me); if (err) return reply(403, { success: false, message: err });
+      db.users = db.users.filter((x) => x.username !== u); db.messages = db.messages.filter((m) => !involves(m, u)); db.reports = db.reports.filter((r) => r.sender !== u && r.reporter !== u); endSessions(u);
+      return reply(200, { success: true });
+    })],
+    ['DELETE', /^\/admin\/conversations\/([^/]+)\/([^/]+)$/, adminOnly(([, u1, u2], body, me) => {
+      const err = checkConfirmation(body.confirmation, "delete-conversation", `${u1}/${u2}`, me); if (err) return reply(403, { success: false, message: err });
+      const gone = new Set(db.messages.filter((m) => involves(m, u1) && involves(m, u2)).map((m) => m._id));
+      db.messages = db.messages.filter((m) => !gone.has(m._id)); db.reports = db.reports.filter((r) => !gone.has(r.messageId));
+      return reply(200, { success: true, deleted: gone.size });
+    })],
+    ['DELETE', /^\/admin\/messages\/([0-9a-f]+)$/, adminOnly(([, id], body, me) => {
+      if (!db.messages.some((m) => m._id === id)) return reply(404, { success: false, message: "Message not found" });
+      const err = checkConfirmation(body.confirmation, "delete-message", id, me); if (err) return reply(403, { success: false, message: err });
+      db.messages = db.messages.filter((m) => m._id !== id); db.reports = db.reports.filter((r) => r.messageId !== id);
+      return reply(200, { success: true });
+    })],
+  ];
+  const PUBLIC = ['/auth/'];
+  return {
+    fetch: async (url, { method = 'GET', headers = {}, body, signal } = {}) => {
+      await sleep(150);
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      const { pathname, searchParams } = new URL(url, window.location.origin);
+      const path = pathname.slice(new URL(API_BASE, window.location.origin).pathname.length);
+      const route = routes.find(([m, re]) => m === method && re.test(path));
+      if (!route) return reply(404, { success: false, message: `No mock route for ${method} ${path}` });
+      const me = db.sessions[(headers.Authorization || "").replace(/^Bearer /, "")];
+      if (!me && !PUBLIC.some((prefix) => path.startsWith(prefix))) return reply(401, { success: false, message: "Not authenticated" });
+      return route[2](route[1].exec(path), body ? JSON.parse(body) : {}, me, searchParams);
+    },
+  };
 };
+const mockBackend = API_MOCK ? createMockBackend() : null;
 
 // --- Session Persistence using localStorage ---
 const LOCAL_STORAGE_KEY = "secureChatAuth";
@@ -49,10 +190,258 @@ const AuthStorage = {
   clearAuth: () => { localStorage.removeItem(LOCAL_STORAGE_KEY); },
 };
 
+// --- Sign-In with Ethereum (EIP-4361) ---
+const SIWE_STATEMENT = "Sign in to Cyber Secure Chat.";
+const SIWE_TTL_MS = 24 * 60 * 60 * 1000;
+const Siwe = {
+  build: ({ address, chainId, nonce, issuedAt = new Date() }) => [
+    `${window.location.host} wants you to sign in with your Ethereum account:`, ethers.getAddress(address), "", SIWE_STATEMENT, "",
+    `URI: ${window.location.origin}`, "Version: 1", `Chain ID: ${chainId}`, `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`, `Expiration Time: ${new Date(issuedAt.getTime() + SIWE_TTL_MS).toISOString()}`,
+  ].join("\n"),
+  parse: (message) => {
+    const lines = (message || "").split("\n");
+    const header = /^(\S+) wants you to sign in with your Ethereum account:$/.exec(lines[0]);
+    if (!header || !ethers.isAddress(lines[1])) return null;
+    const fields = Object.fromEntries(lines.slice(2).map((l) => /^([A-Za-z ]+): (.+)$/.exec(l)).filter(Boolean).map(([, k, v]) => [k, v]));
+    return { domain: header[1], address: lines[1], uri: fields.URI, version: fields.Version, chainId: Number(fields["Chain ID"]), nonce: fields.Nonce, issuedAt: fields["Issued At"], expirationTime: fields["Expiration Time"] };
+  },
+  expiresAt: (message) => Date.parse(Siwe.parse(message)?.expirationTime),
+  // Same contract as `validators`: an error string, or null when the signed message can be trusted.
+  verify: ({ message, signature } = {}, expected = {}) => {
+    const f = Siwe.parse(message);
+    if (!f) return "Malformed sign-in message";
+    if (f.domain !== window.location.host) return "Sign-in message was issued for another site";
+    if (expected.address && f.address.toLowerCase() !== expected.address.toLowerCase()) return "Sign-in message is for another wallet";
+    if (expected.nonce && f.nonce !== expected.nonce) return "Sign-in nonce does not match";
+    if (!(Siwe.expiresAt(message) > Date.now())) return "Sign-in has expired";
+    try { if (ethers.verifyMessage(message, signature).toLowerCase() !== f.address.toLowerCase()) return "Signature does not match the wallet"; } catch { return "Invalid signature"; }
+    return null;
+  },
+};
+
+// --- Moderation ---
+// Destructive admin actions are confirmed by signing a statement of exactly what is being deleted; the server re-checks it against the admin's wallet.
+const MODERATION_HEADER = "Cyber Secure Chat admin action";
+const MODERATION_CONFIRM_TTL_MS = 5 * 60 * 1000;
+const USER_STATUSES = ["active", "muted", "blocked"];
+const REPORT_REASONS = ["Spam", "Harassment", "Scam or fraud", "Other"];
+const Moderation = {
+  isAdmin: (user) => user?.role === "admin",
+  confirmMessage: ({ action, target, address, issuedAt = new Date() }) => [
+    MODERATION_HEADER, "", "This permanently deletes data for every user.", "", `Action: ${action}`, `Target: ${target}`, `Address: ${ethers.getAddress(address)}`, `Issued At: ${issuedAt.toISOString()}`,
+  ].join("\n"),
+  // Same contract as `validators`: an error string, or null when the confirmation matches the action and is still fresh.
+  verify: ({ message, signature } = {}, expected) => {
+    if (!message?.startsWith(`${MODERATION_HEADER}\n`)) return "Malformed confirmation";
+    const f = Object.fromEntries(message.split("\n").map((l) => /^([A-Za-z ]+): (.+)$/.exec(l)).filter(Boolean).map(([, k, v]) => [k, v]));
+    if (f.Action !== expected.action || f.Target !== expected.target) return "Confirmation was signed for a different action";
+    if (f.Address?.toLowerCase() !== expected.address.toLowerCase()) return "Confirmation was signed for another wallet";
+    const age = Date.now() - Date.parse(f["Issued At"]);
+    if (!(age > -60 * 1000 && age < MODERATION_CONFIRM_TTL_MS)) return "Confirmation has expired. Please sign again.";
+    try { if (ethers.verifyMessage(message, signature).toLowerCase() !== expected.address.toLowerCase()) return "Signature does not match the wallet"; } catch { return "Invalid signature"; }
+    return null;
+  },
+};
+
+// --- Unsent messages, kept across reloads so nothing composed offline is lost ---
+// Stored per user and cleared on sign-out (not when a session lapses): items for contacts without a key are plaintext.
+const OUTBOX_STORAGE_KEY = "secureChatOutbox";
+const outboxKey = (username) => `${OUTBOX_STORAGE_KEY}:${username}`;
+const OutboxStorage = {
+  get: (username) => { try { const stored = localStorage.getItem(outboxKey(username)); return stored ? JSON.parse(stored) : []; } catch (e) { console.error("Failed to parse outbox", e); return []; } },
+  set: (username, items) => { try { localStorage.setItem(outboxKey(username), JSON.stringify(items)); } catch (e) { console.error("Failed to save outbox", e); } },
+  clear: (username) => localStorage.removeItem(outboxKey(username)),
+};
+
+// --- Live Transport ---
+// WebSocket with exponential-backoff reconnect. After a few failed attempts it also polls the inbox until the socket comes back.
+const WS_BASE = process.env.REACT_APP_WS_BASE || API_BASE.replace(/^http/, "ws").replace(/\/api$/, "/ws");
+const LIVE_POLL_MS = 5000;
+const LIVE_FALLBACK_AFTER = 3;
+const LIVE_RECONNECT_MAX_MS = 30000;
+const createLiveChannel = ({ token, onEvent, onStatus, poll }) => {
+  let ws = null, attempts = 0, closed = false, retryTimer = null, pollTimer = null;
+  const startPolling = () => { if (pollTimer) return; onStatus("polling"); poll(); pollTimer = setInterval(poll, LIVE_POLL_MS); };
+  const stopPolling = () => { clearInterval(pollTimer); pollTimer = null; };
+  const scheduleReconnect = () => {
+    if (closed) return;
+    attempts += 1;
+    if (attempts >= LIVE_FALLBACK_AFTER) startPolling(); else onStatus("reconnecting");
+    retryTimer = setTimeout(connect, Math.min(1000 * 2 ** attempts, LIVE_RECONNECT_MAX_MS));
+  };
+  const connect = () => {
+    if (closed) return;
+    if (API_MOCK || typeof WebSocket === "undefined") return startPolling();
+    try { ws = new WebSocket(`${WS_BASE}?token=${encodeURIComponent(token)}`); } catch (e) { console.error("WebSocket failed to open:", e); return scheduleReconnect(); }
+    ws.onopen = () => { attempts = 0; stopPolling(); onStatus("live"); poll(); };
+    ws.onmessage = (e) => { try { onEvent(JSON.parse(e.data)); } catch (err) { console.error("Bad live event:", err); } };
+    ws.onerror = () => ws?.close();
+    ws.onclose = () => { ws = null; scheduleReconnect(); };
+  };
+  connect();
+  return {
+    send: (evt) => { if (ws?.readyState === WebSocket.OPEN) ws.send(JSON.stringify(evt)); },
+    close: () => { closed = true; clearTimeout(retryTimer); stopPolling(); if (ws) { ws.onclose = null; ws.close(); } },
+  };
+};
+const TYPING_SEND_MS = 3000;
+const HISTORY_PAGE_SIZE = 30;
+const NEAR_BOTTOM_PX = 100;
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_SCAN_LIMIT = 1000;
+const SEARCH_MAX_RESULTS = 50;
+// The server only ever sees ciphertext, so search pages through each conversation and matches after `readText` decrypts
+// locally. `query` is lowercase; returns the newest matches first.
+const searchMessages = async (me, partners, query, readText) => {
+  const results = [];
+  for (const name of partners) {
+    let before, scanned = 0; const seen = new Set();
+    while (scanned < SEARCH_SCAN_LIMIT && results.length < SEARCH_MAX_RESULTS) {
+      const page = await api.getMessages(me, name, { before, limit: SEARCH_PAGE_SIZE });
+      const fresh = Array.isArray(page) ? page.filter((m) => !seen.has(m._id)) : [];
+      if (!fresh.length) break;
+      for (const m of fresh) { seen.add(m._id); const text = await readText(m.text); if (text && text.toLowerCase().includes(query)) results.push({ partner: name, id: m._id, createdAt: m.createdAt, text }); }
+      if (page.length < SEARCH_PAGE_SIZE) break;
+      before = page[0].createdAt; scanned += page.length;
+    }
+  }
+  return results.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, SEARCH_MAX_RESULTS);
+};
+const TYPING_SHOW_MS = 4000;
+
+// --- End-to-End Encryption ---
+// The private key is derived from a wallet signature, so it is never stored and can be re-created on any device.
+// Peers share an ECDH secret (secp256k1) which keys AES-GCM; the sealed envelope replaces `text` before it reaches the api.
+const E2E_PREFIX = "e2e1:";
+const E2E = {
+  keyMessage: (addr) => `Cyber Secure Chat encryption key\n\nSigning this unlocks your private message key. Only sign it on this site.\n\nAddress: ${addr.toLowerCase()}`,
+  publishMessage: (publicKey) => `Cyber Secure Chat public key\n\n${publicKey}`,
+  deriveKeyPair: async (signer) => { const signature = await signer.signMessage(E2E.keyMessage(await signer.getAddress())); const key = new ethers.SigningKey(ethers.keccak256(signature)); return { key, publicKey: key.compressedPublicKey }; },
+  isVerified: (u) => { try { return !!(u?.encryptionKey && u.encryptionKeySig && u.walletAddress) && ethers.verifyMessage(E2E.publishMessage(u.encryptionKey), u.encryptionKeySig).toLowerCase() === u.walletAddress.toLowerCase(); } catch { return false; } },
+  isSealed: (text) => typeof text === "string" && text.startsWith(E2E_PREFIX),
+  _aesKey: (keyPair, peerKey) => crypto.subtle.importKey("raw", ethers.getBytes(ethers.sha256(keyPair.key.computeSharedSecret(peerKey))), "AES-GCM", false, ["encrypt", "decrypt"]),
+  seal: async (plain, keyPair, peerKey) => { const iv = crypto.getRandomValues(new Uint8Array(12)); const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await E2E._aesKey(keyPair, peerKey), new TextEncoder().encode(plain)); return E2E_PREFIX + JSON.stringify({ from: keyPair.publicKey, to: peerKey, iv: ethers.encodeBase64(iv), ct: ethers.encodeBase64(new Uint8Array(ct)) }); },
+  open: async (text, keyPair) => {
+    const env = JSON.parse(text.slice(E2E_PREFIX.length));
+    const peerKey = env.from === keyPair.publicKey ? env.to : env.to === keyPair.publicKey ? env.from : null;
+    if (!peerKey) throw new Error("Message was not sealed for this key");
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: ethers.decodeBase64(env.iv) }, await E2E._aesKey(keyPair, peerKey), ethers.decodeBase64(env.ct));
+    return new TextDecoder().decode(plain);
+  },
+};
+
+// --- Wallet Connectors ---
+// Every connector yields an EIP-1193 provider; the app only ever talks to that provider, never to `window.ethereum` directly.
+// Injected wallets announce themselves through EIP-6963. The legacy global is only offered when nothing announces.
+const discoverInjectedWallets = (onChange) => {
+  const found = new Map();
+  const onAnnounce = (e) => { const { info, provider } = e.detail || {}; if (!info?.uuid || !provider) return; const id = info.rdns || info.uuid; found.set(id, { id, name: info.name, icon: info.icon, provider }); onChange([...found.values()]); };
+  window.addEventListener("eip6963:announceProvider", onAnnounce);
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+  const fallback = setTimeout(() => { if (!found.size && window.ethereum) { found.set("injected", { id: "injected", name: window.ethereum.isMetaMask ? "MetaMask" : "Browser Wallet", icon: null, provider: window.ethereum }); onChange([...found.values()]); } }, 300);
+  return () => { window.removeEventListener("eip6963:announceProvider", onAnnounce); clearTimeout(fallback); };
+};
+
+// Remote signers pair through a URI (shown as a QR code) naming a relay topic and a shared AES key; the relay only sees ciphertext.
+// `local://` is a same-origin BroadcastChannel stand-in, so a second tab running the test signer can play the phone.
+const RELAY_URL = process.env.REACT_APP_RELAY_URL || "local://";
+const SIGNER_URI_SCHEME = "cscsigner:";
+const REMOTE_REQUEST_TIMEOUT_MS = 5 * 60 * 1000;
+const REMOTE_PAIRING_TIMEOUT_MS = 3 * 60 * 1000;
+const RELAY_RECONNECT_ATTEMPTS = 3;
+const TEST_SIGNER_ENABLED = process.env.NODE_ENV !== "production" || process.env.REACT_APP_TEST_SIGNER === "true";
+const buildSignerUri = () => `${SIGNER_URI_SCHEME}${ethers.hexlify(ethers.randomBytes(16)).slice(2)}?${new URLSearchParams({ relay: RELAY_URL, key: ethers.hexlify(ethers.randomBytes(32)) })}`;
+const parseSignerUri = (uri) => { const m = new RegExp(`^${SIGNER_URI_SCHEME}([0-9a-f]{32})\\?(.+)$`).exec(uri || ""); if (!m) return null; const q = new URLSearchParams(m[2]); return q.get("relay") && q.get("key") ? { topic: m[1], relay: q.get("relay"), key: q.get("key") } : null; };
+const signerError = (code, message) => Object.assign(new Error(message), { code });
+// A dropped relay socket is reopened a few times with backoff, queueing what is sent meanwhile; if it stays down,
+// onClose reports it so nothing keeps waiting on the relay.
+const openRelay = async (uri, side, onMessage, onClose) => {
+  const { topic, relay, key } = parseSignerUri(uri);
+  const aes = await crypto.subtle.importKey("raw", ethers.getBytes(key), "AES-GCM", false, ["encrypt", "decrypt"]);
+  const receive = async (raw) => {
+    try { const env = JSON.parse(raw); const msg = JSON.parse(new TextDecoder().decode(await crypto.subtle.decrypt({ name: "AES-GCM", iv: ethers.decodeBase64(env.iv) }, aes, ethers.decodeBase64(env.ct)))); if (msg.from !== side) onMessage(msg); }
+    catch (e) { console.error("Dropped relay message:", e); }
+  };
+  let transport;
+  if (relay.startsWith("local://")) {
+    const channel = new BroadcastChannel(`csc-relay:${topic}`); channel.onmessage = (e) => receive(e.data);
+    transport = { send: (data) => channel.postMessage(data), close: () => channel.close() };
+  } else {
+    const queue = []; let ws, attempts = 0, closed = false;
+    const connect = () => {
+      if (closed) return;
+      ws = new WebSocket(`${relay}?topic=${topic}`);
+      ws.onopen = () => { attempts = 0; queue.splice(0).forEach((d) => ws.send(d)); };
+      ws.onmessage = (e) => receive(e.data);
+      ws.onerror = () => console.error("Relay socket error");
+      ws.onclose = () => {
+        if (closed) return;
+        if (attempts++ < RELAY_RECONNECT_ATTEMPTS) setTimeout(connect, 1000 * attempts);
+        else { closed = true; onClose?.(signerError(4900, "Lost the connection to the signer relay.")); }
+      };
+    };
+    connect();
+    transport = { send: (data) => (ws.readyState === WebSocket.OPEN ? ws.send(data) : queue.push(data)), close: () => { closed = true; ws.close(); } };
+  }
+  return {
+    send: async (msg) => { const iv = crypto.getRandomValues(new Uint8Array(12)); const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, aes, new TextEncoder().encode(JSON.stringify({ ...msg, from: side }))); transport.send(JSON.stringify({ iv: ethers.encodeBase64(iv), ct: ethers.encodeBase64(new Uint8Array(ct)) })); },
+    close: transport.close,
+  };
+};
+// EIP-1193 provider backed by a paired remote signer. Account and chain queries are answered from the session; everything else goes over the relay.
+const REMOTE_SIGNER_METHODS = /^(eth_sendTransaction|eth_sign|personal_sign|eth_signTypedData(_v\d)?|wallet_\w+)$/;
+const createRemoteProvider = async (uri, saved = null) => {
+  let session = saved, nextId = 1;
+  const listeners = {}, pending = new Map(), waiters = [];
+  const emit = (event, data) => (listeners[event] || []).forEach((fn) => fn(data));
+  const fail = (err) => {
+    session = null;
+    waiters.splice(0).forEach((w) => w.reject(err));
+    pending.forEach((p) => p.reject(err)); pending.clear();
+  };
+  const relay = await openRelay(uri, "dapp", (msg) => {
+    if (msg.type === "session") { session = { accounts: msg.accounts, chainId: msg.chainId }; waiters.splice(0).forEach((w) => w.resolve(session)); emit("connect", { chainId: session.chainId }); }
+    else if (msg.type === "response" && pending.has(msg.id)) { const p = pending.get(msg.id); pending.delete(msg.id); if (msg.error) p.reject(signerError(msg.error.code, msg.error.message)); else p.resolve(msg.result); }
+    else if (msg.type === "event" && session) { if (msg.event === "accountsChanged") session.accounts = msg.data; if (msg.event === "chainChanged") session.chainId = msg.data; emit(msg.event, msg.data); }
+    else if (msg.type === "disconnect") { session = null; emit("disconnect", signerError(4900, "Remote signer disconnected")); }
+  }, (err) => { fail(err); emit("disconnect", err); });
+  const call = (method, params) => new Promise((resolve, reject) => {
+    const id = nextId++; pending.set(id, { resolve, reject }); relay.send({ type: "request", id, method, params });
+    setTimeout(() => { if (pending.delete(id)) reject(signerError(4900, "The remote signer did not respond.")); }, REMOTE_REQUEST_TIMEOUT_MS);
+  });
+  const waitForSession = () => new Promise((resolve, reject) => {
+    const waiter = { resolve, reject }; waiters.push(waiter);
+    setTimeout(() => { const i = waiters.indexOf(waiter); if (i >= 0) { waiters.splice(i, 1); reject(signerError(4900, "No wallet approved the pairing in time.")); } }, REMOTE_PAIRING_TIMEOUT_MS);
+  });
+  return {
+    isRemoteSigner: true, uri,
+    get session() { return session; },
+    request: async ({ method, params }) => {
+      if (method === "eth_requestAccounts") return session ? session.accounts : (await waitForSession()).accounts;
+      if (method === "eth_accounts") return session?.accounts || [];
+      if (!session) throw signerError(4900, "The remote signer is not connected.");
+      if (method === "eth_chainId") return session.chainId;
+      if (method === "net_version") return String(Number(session.chainId));
+      if (REMOTE_SIGNER_METHODS.test(method)) return call(method, params);
+      // Reads never need the phone: they go straight to the session chain's RPC.
+      const net = findNetwork(session.chainId);
+      if (!net) throw signerError(4901, `Chain ${session.chainId} is not configured here. Add it as a custom RPC.`);
+      return rpcProvider(net).send(method, params || []);
+    },
+    on: (event, fn) => { (listeners[event] = listeners[event] || []).push(fn); },
+    removeListener: (event, fn) => { listeners[event] = (listeners[event] || []).filter((f) => f !== fn); },
+    disconnect: () => {
+      relay.send({ type: "disconnect" }); relay.close(); session = null;
+      waiters.splice(0).forEach((w) => w.reject(signerError(4001, "Pairing cancelled.")));
+      pending.forEach((p) => p.reject(signerError(4900, "Remote signer disconnected"))); pending.clear();
+    },
+  };
+};
+
 // --- Form Validation Functions ---
 const validators = {
     username: (v) => { if (!v?.trim()) return "Username is required"; if (v.trim().length < 3) return "Username must be at least 3 characters"; if (v.trim().length > 20) return "Username must be less than 20 characters"; if (!/^[a-zA-Z0-9_]+$/.test(v.trim())) return "Invalid characters in username"; return null; },
-    password: (v) => { if (!v) return "Password is required"; if (v.length < 8) return "Password must be at least 8 characters"; if (!/(?=.*[a-z])/.test(v)) return "Password needs a lowercase letter"; if (!/(?=.*[A-Z])/.test(v)) return "Password needs an uppercase letter"; if (!/(?=.*\d)/.test(v)) return "Password needs a number"; if (!/(?=.*[@$!%*?&])/.test(v)) return "Password needs a special character"; return null; },
     email: (v) => { if (!v?.trim()) return "Email is required"; if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v.trim())) return "Invalid email address"; return null; },
     phone: (v) => { if (!v?.trim()) return null; if (!/^\d{10}$/.test(v.replace(/\D/g, ''))) return "Phone must be 10 digits (optional)"; return null; },
     dob: (v) => { if (!v) return null; const s = new Date(v), t = new Date(); if (s > new Date(t.getFullYear() - 13, t.getMonth(), t.getDate())) return "Must be at least 13 years old"; if (s < new Date(t.getFullYear() - 120, t.getMonth(), t.getDate())) return "Invalid date of birth"; return null; },
@@ -60,10 +449,136 @@ const validators = {
 };
 
 // --- Blockchain & Animation Placeholders ---
-const ERC20_ABI = ["function balanceOf(address) view returns (uint256)", "function decimals() view returns (uint8)"];
-const BSC_MAINNET = { chainId: '0x38', chainName: 'BNB Smart Chain', rpcUrls: ['https://bsc-dataseed.binance.org/'], nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18, }, blockExplorerUrls: ['https://bscscan.com/'], };
-const TOKENS = { USDT: "0x55d398326f99059fF775485246999027B3197955", USDC: "0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d" };
-const dummyHash = () => "0x" + Math.random().toString(16).slice(2).padEnd(64, "0");
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)", "function decimals() view returns (uint8)", "function symbol() view returns (string)"];
+// Built-in networks. `tokens` are the default tracked ERC-20s; users can import more per wallet and chain (see TokenStorage).
+const NETWORKS = [
+  { chainId: '0x38', chainName: 'BNB Smart Chain', rpcUrls: ['https://bsc-dataseed.binance.org/'], nativeCurrency: { name: 'BNB', symbol: 'BNB', decimals: 18 }, blockExplorerUrls: ['https://bscscan.com/'], explorerName: 'BscScan', tokens: [{ symbol: 'USDT', address: '0x55d398326f99059fF775485246999027B3197955' }, { symbol: 'USDC', address: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d' }] },
+  { chainId: '0x61', chainName: 'BNB Smart Chain Testnet', rpcUrls: ['https://data-seed-prebsc-1-s1.binance.org:8545/'], nativeCurrency: { name: 'tBNB', symbol: 'tBNB', decimals: 18 }, blockExplorerUrls: ['https://testnet.bscscan.com/'], explorerName: 'BscScan', tokens: [{ symbol: 'USDT', address: '0x337610d27c682E347C9cD60BD4b3b107C9d34dDd' }] },
+  { chainId: '0x1', chainName: 'Ethereum', rpcUrls: ['https://ethereum-rpc.publicnode.com'], nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 }, blockExplorerUrls: ['https://etherscan.io/'], explorerName: 'Etherscan', tokens: [{ symbol: 'USDT', address: '0xdAC17F958D2ee523a2206206994597C13D831ec7' }, { symbol: 'USDC', address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48' }] },
+  { chainId: '0x89', chainName: 'Polygon', rpcUrls: ['https://polygon-rpc.com/'], nativeCurrency: { name: 'POL', symbol: 'POL', decimals: 18 }, blockExplorerUrls: ['https://polygonscan.com/'], explorerName: 'PolygonScan', tokens: [{ symbol: 'USDT', address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F' }, { symbol: 'USDC', address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359' }] },
+];
+const NETWORK_STORAGE_KEY = "secureChatNetworks";
+const NetworkStorage = {
+  _read: () => { try { const stored = localStorage.getItem(NETWORK_STORAGE_KEY); return stored ? JSON.parse(stored) : {}; } catch (e) { console.error("Failed to parse network data", e); return {}; } },
+  _write: (data) => { try { localStorage.setItem(NETWORK_STORAGE_KEY, JSON.stringify(data)); } catch (e) { console.error("Failed to save network data", e); } },
+  getActive: () => NetworkStorage._read().active || NETWORKS[0].chainId,
+  setActive: (chainId) => NetworkStorage._write({ ...NetworkStorage._read(), active: chainId }),
+  getCustom: () => NetworkStorage._read().custom || [],
+  addCustom: (net) => { const data = NetworkStorage._read(); NetworkStorage._write({ ...data, custom: [...(data.custom || []).filter((n) => n.chainId !== net.chainId), net] }); },
+};
+const TOKEN_STORAGE_KEY = "secureChatTokens";
+const TokenStorage = {
+  _read: () => { try { const stored = localStorage.getItem(TOKEN_STORAGE_KEY); return stored ? JSON.parse(stored) : {}; } catch (e) { console.error("Failed to parse token data", e); return {}; } },
+  _key: (wallet, chainId) => `${wallet.toLowerCase()}:${chainId}`,
+  list: (wallet, chainId) => (wallet ? TokenStorage._read()[TokenStorage._key(wallet, chainId)] || [] : []),
+  add: (wallet, chainId, token) => { const data = TokenStorage._read(), key = TokenStorage._key(wallet, chainId); try { localStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify({ ...data, [key]: [...(data[key] || []), token] })); } catch (e) { console.error("Failed to save token data", e); } },
+};
+const allNetworks = () => [...NETWORKS, ...NetworkStorage.getCustom()];
+const findNetwork = (chainId) => (chainId ? allNetworks().find((n) => Number(n.chainId) === Number(chainId)) : null);
+const tokensFor = (wallet, net) => [...net.tokens, ...TokenStorage.list(wallet, net.chainId)];
+// Reads an ERC-20's symbol and decimals from the chain; throws if the address isn't a token there.
+const lookupToken = async (net, address) => {
+  const contract = new ethers.Contract(address, ERC20_ABI, rpcProvider(net));
+  const [symbol, decimals] = await Promise.all([contract.symbol(), contract.decimals()]);
+  return { symbol, address: ethers.getAddress(address), decimals: Number(decimals) };
+};
+const rpcProvider = (net) => new ethers.JsonRpcProvider(net.rpcUrls[0], Number(net.chainId), { staticNetwork: true });
+// wallet_addEthereumChain rejects unknown keys, so only the EIP-3085 fields are passed on.
+const chainParams = ({ chainId, chainName, rpcUrls, nativeCurrency, blockExplorerUrls }) => ({ chainId, chainName, rpcUrls, nativeCurrency, blockExplorerUrls: blockExplorerUrls.length ? blockExplorerUrls : undefined });
+// --- Wallet Activity ---
+// ERC-20 transfers come from Transfer logs over paged block ranges. Plain RPC has no index for native transfers, so they
+// are paged over the same ranges from the backend (api.getNativeTransfers) or, failing that, straight from an
+// Etherscan-compatible API when the build has a key. With neither, only the newest blocks are scanned and the page
+// reports how far back native coverage goes.
+const TRANSFER_EVENT = new ethers.Interface(["event Transfer(address indexed from, address indexed to, uint256 value)"]);
+const TRANSFER_TOPIC = TRANSFER_EVENT.getEvent("Transfer").topicHash;
+const ACTIVITY_PAGE_BLOCKS = 20000;
+const LOG_CHUNK_BLOCKS = 5000;
+const NATIVE_SCAN_BLOCKS = 50;
+const EXPLORER_API_URL = process.env.REACT_APP_EXPLORER_API_URL || "https://api.etherscan.io/v2/api";
+const EXPLORER_API_KEY = process.env.REACT_APP_EXPLORER_API_KEY || "";
+const loadNativeFromExplorer = async (addr, net, fromBlock, toBlock) => {
+  const params = new URLSearchParams({ chainid: Number(net.chainId), module: "account", action: "txlist", address: addr, startblock: fromBlock, endblock: toBlock, sort: "desc", apikey: EXPLORER_API_KEY });
+  const data = await (await fetch(`${EXPLORER_API_URL}?${params}`)).json();
+  if (data.status !== "1") { if (/no transactions/i.test(data.message)) return []; throw new Error(`Explorer API: ${typeof data.result === "string" ? data.result : data.message}`); }
+  return data.result.filter((tx) => tx.value !== "0" && tx.isError !== "1").map((tx) => ({ hash: tx.hash, from: tx.from, to: tx.to, value: BigInt(tx.value), blockNumber: Number(tx.blockNumber), timestamp: Number(tx.timeStamp) }));
+};
+const loadNativeFromBackend = async (addr, net, fromBlock, toBlock) => (await api.getNativeTransfers(Number(net.chainId), addr, fromBlock, toBlock)).map((tx) => ({ ...tx, value: BigInt(tx.value) }));
+const NATIVE_SOURCES = [loadNativeFromBackend, ...(EXPLORER_API_KEY ? [loadNativeFromExplorer] : [])];
+const loadActivityPage = async (addr, net, toBlock) => {
+  const provider = rpcProvider(net);
+  const latest = toBlock ?? await provider.getBlockNumber();
+  const fromBlock = Math.max(latest - ACTIVITY_PAGE_BLOCKS + 1, 0);
+  const me = addr.toLowerCase(), padded = ethers.zeroPadValue(addr, 32);
+  const tokens = await Promise.all(tokensFor(addr, net).map(async (t) => ({ ...t, decimals: t.decimals ?? Number(await new ethers.Contract(t.address, ERC20_ABI, provider).decimals().catch(() => 18)) })));
+  const byAddress = Object.fromEntries(tokens.map((t) => [t.address.toLowerCase(), t]));
+  const blocks = new Map();
+  const blockTime = async (n) => { if (!blocks.has(n)) blocks.set(n, provider.getBlock(n).then((b) => b?.timestamp ?? null)); return blocks.get(n); };
+  const direction = (from, to) => (from === me && to === me ? "self" : from === me ? "out" : "in");
+
+  const logs = [];
+  for (let start = fromBlock; tokens.length && start <= latest; start += LOG_CHUNK_BLOCKS) {
+    const range = { address: tokens.map((t) => t.address), fromBlock: start, toBlock: Math.min(start + LOG_CHUNK_BLOCKS - 1, latest) };
+    const [sent, received] = await Promise.all([provider.getLogs({ ...range, topics: [TRANSFER_TOPIC, padded] }), provider.getLogs({ ...range, topics: [TRANSFER_TOPIC, null, padded] })]);
+    logs.push(...sent, ...received);
+  }
+  const tokenEntries = await Promise.all(logs.map(async (log) => {
+    const token = byAddress[log.address.toLowerCase()], { args } = TRANSFER_EVENT.parseLog(log);
+    const from = args.from.toLowerCase(), to = args.to.toLowerCase();
+    return { id: `${log.transactionHash}:${log.index}`, hash: log.transactionHash, blockNumber: log.blockNumber, order: log.index, timestamp: await blockTime(log.blockNumber), direction: direction(from, to), counterparty: from === me ? args.to : args.from, token: token.symbol, tokenAddress: token.address, amount: ethers.formatUnits(args.value, token.decimals) };
+  }));
+
+  let nativeTxs = [], native = { indexed: false, from: null };
+  for (const load of NATIVE_SOURCES) {
+    try { nativeTxs = await load(addr, net, fromBlock, latest); native = { indexed: true, from: fromBlock }; break; }
+    catch (e) { console.error("Native history lookup failed:", e); }
+  }
+  if (!native.indexed && toBlock == null) {
+    const recent = await Promise.all(Array.from({ length: Math.min(NATIVE_SCAN_BLOCKS, latest + 1) }, (_, i) => provider.getBlock(latest - i, true).catch(() => null)));
+    recent.filter(Boolean).forEach((block) => block.prefetchedTransactions.forEach((tx) => { if (tx.value !== 0n) nativeTxs.push({ hash: tx.hash, from: tx.from, to: tx.to, value: tx.value, blockNumber: block.number, timestamp: block.timestamp }); }));
+    native.from = Math.max(latest - NATIVE_SCAN_BLOCKS + 1, 0);
+  }
+  const nativeEntries = nativeTxs.filter((tx) => tx.from.toLowerCase() === me || tx.to?.toLowerCase() === me).map((tx) => {
+    const from = tx.from.toLowerCase(), to = tx.to?.toLowerCase();
+    return { id: `${tx.hash}:native`, hash: tx.hash, blockNumber: tx.blockNumber, order: -1, timestamp: tx.timestamp, direction: direction(from, to), counterparty: from === me ? tx.to : tx.from, token: net.nativeCurrency.symbol, tokenAddress: null, amount: ethers.formatEther(tx.value) };
+  });
+  const entries = [...new Map([...tokenEntries, ...nativeEntries].map((e) => [e.id, e])).values()].sort((a, b) => b.blockNumber - a.blockNumber || b.order - a.order);
+  return { entries, nextBlock: fromBlock > 0 ? fromBlock - 1 : null, native };
+};
+const toCsv = (rows) => rows.map((r) => r.map((v) => { const c = String(v ?? ""); return /[",\n]/.test(c) ? `"${c.replace(/"/g, '""')}"` : c; }).join(",")).join("\n");
+const explorerTxUrl = (net, hash) => (net.blockExplorerUrls[0] ? `${net.blockExplorerUrls[0]}tx/${hash}` : null);
+const TX_WAIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// --- Payment Verification ---
+// A payment message is only its sender's claim, so its status comes from the chain, never from the message. Confirmed
+// means the transaction succeeded and moved exactly the stated amount of a token the viewer knows, from the sender's
+// wallet to the recipient's.
+const paymentMatches = ({ transfer, net, token, from, to, tx, receipt }) => {
+  if (!ethers.isAddress(from) || !ethers.isAddress(to)) return false;
+  const same = (a, b) => !!a && a.toLowerCase() === b.toLowerCase();
+  try {
+    if (!transfer.tokenAddress) return transfer.token === net.nativeCurrency.symbol && same(tx?.from, from) && same(tx?.to, to) && tx.value === ethers.parseUnits(String(transfer.amount), net.nativeCurrency.decimals);
+    if (!token || !same(token.address, transfer.tokenAddress) || token.symbol !== transfer.token) return false;
+    const value = ethers.parseUnits(String(transfer.amount), token.decimals);
+    return receipt.logs.some((log) => {
+      if (!same(log.address, token.address) || log.topics[0] !== TRANSFER_TOPIC) return false;
+      const { args } = TRANSFER_EVENT.parseLog(log);
+      return same(args.from, from) && same(args.to, to) && args.value === value;
+    });
+  } catch { return false; }
+};
+// Resolves to "confirmed", "failed" (reverted) or "unverified" (mined, but not the payment it claims to be).
+const verifyPayment = async ({ transfer, txHash, net, knownTokens, from, to }) => {
+  const provider = rpcProvider(net);
+  try {
+    const receipt = await provider.waitForTransaction(txHash, 1, TX_WAIT_TIMEOUT_MS);
+    if (receipt.status !== 1) return "failed";
+    const known = knownTokens.find((t) => transfer.tokenAddress && t.address.toLowerCase() === transfer.tokenAddress.toLowerCase());
+    const token = known && { ...known, decimals: known.decimals ?? Number(await new ethers.Contract(known.address, ERC20_ABI, provider).decimals()) };
+    const tx = transfer.tokenAddress ? null : await provider.getTransaction(txHash);
+    return paymentMatches({ transfer, net, token, from, to, tx, receipt }) ? "confirmed" : "unverified";
+  } finally { provider.destroy(); }
+};
 const pageTransition = { initial: { opacity: 0, filter: "blur(8px)", y: 50 }, animate: { opacity: 1, filter: "blur(0px)", y: 0 }, exit: { opacity: 0, filter: "blur(8px)", y: -50 } };
 const slideInLeft = { initial: { opacity: 0, x: -50 }, animate: { opacity: 1, x: 0 }, transition: { type: "spring", stiffness: 100, damping: 15 } };
 const fadeInUp = { hidden: { opacity: 0, y: 30 }, visible: { opacity: 1, y: 0, transition: { duration: 0.4, ease: "easeOut" } } };
@@ -77,125 +592,665 @@ const messageSlideRight = { hidden: { opacity: 0, x: 100, scale: 0.8 }, visible:
 // --- UI Components ---
 function Button({ children, className = "", variant = "primary", ...props }) { const base = "px-6 py-3 rounded-lg font-bold shadow-lg text-white relative overflow-hidden group tracking-wider uppercase disabled:opacity-50 disabled:cursor-not-allowed"; const variants = { primary: "bg-cyan-500/80 border border-cyan-400 hover:bg-cyan-400/90 hover:shadow-cyan-400/50", secondary: "bg-pink-500/80 border border-pink-400 hover:bg-pink-400/90 hover:shadow-pink-400/50", danger: "bg-red-600/80 border border-red-500 hover:bg-red-500/90 hover:shadow-red-500/50" }; return (<motion.button {...scaleTap} className={`${base} ${variants[variant]} ${className}`} {...props}><div className="absolute inset-0 bg-black opacity-20 group-hover:opacity-0 transition-opacity" /><div className="absolute top-0 left-0 w-full h-full bg-gradient-to-b from-white/20 to-transparent" /><span className="relative z-10">{children}</span></motion.button>); }
 function ValidatedInput({ name, type = "text", placeholder, value, onChange, validator }) { const [err, setErr] = useState(""); const [touched, setTouched] = useState(false); const isValid = touched && !err && value && validator && !validator(value); const c = `w-full px-4 py-3 rounded-lg cyber-input ${touched && err ? "error" : ""} ${isValid ? "success" : ""}`; const hC = (e) => { onChange(e); if (touched && validator) setErr(validator(e.target.value) || ""); }; const hB = () => { setTouched(true); if (validator) setErr(validator(value) || ""); }; return (<div className="w-full"><input name={name} type={type} placeholder={placeholder} value={value} onChange={hC} onBlur={hB} className={c} />{touched && err && (<motion.span initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }} className="validation-error">{err}</motion.span>)}{isValid && (<motion.span initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }} className="validation-success">✓ Valid</motion.span>)}</div>); }
-function Navbar({ onBack, onLogout, walletAddress, balances, loadingBalances }) { return (<motion.div initial={{ y: -100, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ type: "spring", stiffness: 80, damping: 20 }} className="w-full max-w-7xl mb-8"><div className="flex items-center justify-center relative bg-black/20 p-4 rounded-lg border border-[var(--border-color)]">{onBack && (<motion.button {...scaleTap} onClick={onBack} className="absolute left-4 flex items-center gap-2 text-[var(--primary-glow)] hover:text-white px-3 py-2"><ArrowLeft size={20} /> Back</motion.button>)}<motion.h1 className="text-3xl font-bold flex items-center gap-4" style={{color: 'var(--primary-glow)', textShadow: '0 0 10px var(--primary-glow)'}} {...floatingAnimation}><WalletIcon size={32} />Cyber Secure Chat</motion.h1>{onLogout && (<motion.button {...scaleTap} onClick={onLogout} className="absolute right-4 flex items-center gap-2 text-[var(--secondary-glow)] hover:text-white px-3 py-2"><LogOut size={20} /> Logout</motion.button>)}</div>{walletAddress && (<motion.div initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} transition={{ delay: 0.3 }} className="mt-4 text-center"><div className="cyber-card p-4"><p className="text-sm text-slate-300 mb-2 break-all"><span className="uppercase tracking-wider">Wallet: </span><span className="font-mono text-[var(--primary-glow)]">{walletAddress}</span></p>{loadingBalances ? (<div className="flex items-center justify-center gap-2"><motion.div animate={{ rotate: 360 }} transition={{ duration: 1, repeat: Infinity, ease: "linear" }} className="w-4 h-4 border-2 border-[var(--primary-glow)] border-t-transparent rounded-full" /><span className="text-slate-400">Syncing...</span></div>) : balances ? (<motion.div variants={staggerList} initial="hidden" animate="visible" className="flex justify-center gap-6 flex-wrap">{Object.entries(balances).map(([sym, val]) => (<motion.div key={sym} variants={bounceIn} className="bg-black/30 px-3 py-1 rounded-md border border-[var(--border-color)]"><span className="font-semibold text-[var(--primary-glow)]">{sym}:</span> {val}</motion.div>))}</motion.div>) : (<p className="text-slate-400">No balance data</p>)}</div></motion.div>)}</motion.div>); }
+function Navbar({ onBack, onLogout, walletAddress, balances, loadingBalances, children }) { return (<motion.div initial={{ y: -100, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ type: "spring", stiffness: 80, damping: 20 }} className="w-full max-w-7xl mb-8"><div className="flex items-center justify-center relative bg-black/20 p-4 rounded-lg border border-[var(--border-color)]">{onBack && (<motion.button {...scaleTap} onClick={onBack} className="absolute left-4 flex items-center gap-2 text-[var(--primary-glow)] hover:text-white px-3 py-2"><ArrowLeft size={20} /> Back</motion.button>)}<motion.h1 className="text-3xl font-bold flex items-center gap-4" style={{color: 'var(--primary-glow)', textShadow: '0 0 10px var(--primary-glow)'}} {...floatingAnimation}><WalletIcon size={32} />Cyber Secure Chat</motion.h1>{onLogout && (<motion.button {...scaleTap} onClick={onLogout} className="absolute right-4 flex items-center gap-2 text-[var(--secondary-glow)] hover:text-white px-3 py-2"><LogOut size={20} /> Logout</motion.button>)}</div>{walletAddress && (<motion.div initial={{ opacity: 0, scale: 0.9 }} animate={{ opacity: 1, scale: 1 }} transition={{ delay: 0.3 }} className="mt-4 text-center"><div className="cyber-card p-4"><p className="text-sm text-slate-300 mb-2 break-all"><span className="uppercase tracking-wider">Wallet: </span><span className="font-mono text-[var(--primary-glow)]">{walletAddress}</span></p>{loadingBalances ? (<div className="flex items-center justify-center gap-2"><motion.div animate={{ rotate: 360 }} transition={{ duration: 1, repeat: Infinity, ease: "linear" }} className="w-4 h-4 border-2 border-[var(--primary-glow)] border-t-transparent rounded-full" /><span className="text-slate-400">Syncing...</span></div>) : balances ? (<motion.div variants={staggerList} initial="hidden" animate="visible" className="flex justify-center gap-6 flex-wrap">{Object.entries(balances).map(([sym, val]) => (<motion.div key={sym} variants={bounceIn} className="bg-black/30 px-3 py-1 rounded-md border border-[var(--border-color)]"><span className="font-semibold text-[var(--primary-glow)]">{sym}:</span> {val}</motion.div>))}</motion.div>) : (<p className="text-slate-400">No balance data</p>)}{children}</div></motion.div>)}</motion.div>); }
+function NetworkPanel({ network, onSelect, onAddNetwork, onImportToken, canWatchAsset, activityOpen, onToggleActivity }) {
+  const [mode, setMode] = useState(null); const [busy, setBusy] = useState(false); const [error, setError] = useState("");
+  const [tokenAddress, setTokenAddress] = useState(""); const [watchInWallet, setWatchInWallet] = useState(true);
+  const [netForm, setNetForm] = useState({ chainName: "", rpcUrl: "", chainId: "", symbol: "", explorer: "" });
+  const toggle = (m) => { setMode(mode === m ? null : m); setError(""); };
+  const run = async (action, reset) => { setBusy(true); setError(""); const err = await action(); setBusy(false); if (err) return setError(err); reset(); setMode(null); };
+  const hNet = (e) => setNetForm({ ...netForm, [e.target.name]: e.target.value });
+  return (<div className="mt-4 pt-4 border-t border-[var(--border-color)] space-y-3"><div className="flex items-center justify-center gap-2 flex-wrap"><Globe size={16} className="text-[var(--primary-glow)]" /><select className="px-3 py-2 rounded-lg cyber-input text-sm" value={network.chainId} onChange={(e) => onSelect(e.target.value)}>{allNetworks().map((n) => (<option key={n.chainId} value={n.chainId}>{n.chainName}</option>))}</select><motion.button {...scaleTap} onClick={() => toggle("network")} className="flex items-center gap-1 text-xs px-2 py-2 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)]"><Plus size={12} />RPC</motion.button><motion.button {...scaleTap} onClick={() => toggle("token")} className="flex items-center gap-1 text-xs px-2 py-2 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)]"><Plus size={12} />Token</motion.button><motion.button {...scaleTap} onClick={onToggleActivity} className={`flex items-center gap-1 text-xs px-2 py-2 rounded-lg border ${activityOpen ? "border-pink-400 text-pink-300" : "border-[var(--border-color)] text-[var(--primary-glow)]"}`}><Activity size={12} />Activity</motion.button></div>
+    {mode === "token" && (<div className="space-y-2"><div className="flex gap-2"><input className="flex-1 px-3 py-2 rounded-lg cyber-input text-sm font-mono" placeholder={`Token contract on ${network.chainName}`} value={tokenAddress} onChange={(e) => setTokenAddress(e.target.value)} /><Button className="px-3 py-2 text-xs" disabled={busy || !ethers.isAddress(tokenAddress.trim())} onClick={() => run(() => onImportToken(tokenAddress.trim(), canWatchAsset && watchInWallet), () => setTokenAddress(""))}>{busy ? "Reading..." : "Import"}</Button></div>{canWatchAsset && (<label className="flex items-center justify-center gap-2 text-xs text-slate-400"><input type="checkbox" checked={watchInWallet} onChange={(e) => setWatchInWallet(e.target.checked)} />Also add to your wallet</label>)}</div>)}
+    {mode === "network" && (<div className="grid grid-cols-2 gap-2"><input name="chainName" className="px-3 py-2 rounded-lg cyber-input text-sm" placeholder="Network name" value={netForm.chainName} onChange={hNet} /><input name="chainId" className="px-3 py-2 rounded-lg cyber-input text-sm" placeholder="Chain ID" value={netForm.chainId} onChange={hNet} /><input name="rpcUrl" className="col-span-2 px-3 py-2 rounded-lg cyber-input text-sm" placeholder="RPC URL (https://...)" value={netForm.rpcUrl} onChange={hNet} /><input name="symbol" className="px-3 py-2 rounded-lg cyber-input text-sm" placeholder="Currency symbol" value={netForm.symbol} onChange={hNet} /><input name="explorer" className="px-3 py-2 rounded-lg cyber-input text-sm" placeholder="Explorer URL (optional)" value={netForm.explorer} onChange={hNet} /><Button className="col-span-2 px-3 py-2 text-xs" disabled={busy} onClick={() => run(() => onAddNetwork(netForm), () => setNetForm({ chainName: "", rpcUrl: "", chainId: "", symbol: "", explorer: "" }))}>{busy ? "Checking RPC..." : "Add Network"}</Button></div>)}
+    {error && <span className="validation-error text-center">{error}</span>}</div>);
+}
+function ActivityPanel({ activity, network, walletAddress, resolveName, onLoadMore, onRefresh, onClose }) {
+  const [tokenFilter, setTokenFilter] = useState("all"); const [dirFilter, setDirFilter] = useState("all");
+  const symbols = [...new Set(activity.entries.map((e) => e.token))];
+  const shown = activity.entries.filter((e) => (tokenFilter === "all" || e.token === tokenFilter) && (dirFilter === "all" || e.direction === dirFilter || e.direction === "self"));
+  const fmtTime = (t) => (t ? new Date(t * 1000).toLocaleString() : ""); const isoTime = (t) => (t ? new Date(t * 1000).toISOString() : "");
+  // Without a transaction index, native transfers older than the first page's recent-block scan are missing; say so wherever the data goes.
+  const nativeNote = activity.native && !activity.native.indexed && activity.native.from != null ? `${network.nativeCurrency.symbol} transfers are only included from block ${activity.native.from} (the latest ${NATIVE_SCAN_BLOCKS} blocks) because no transaction index was reachable.` : null;
+  const exportCsv = () => {
+    const rows = [["Time", "Direction", "Token", "Amount", "Counterparty", "Counterparty Address", "Tx Hash", "Block", "Explorer"], ...shown.map((e) => [isoTime(e.timestamp), e.direction, e.token, e.amount, resolveName(e.counterparty) || "", e.counterparty, e.hash, e.blockNumber, explorerTxUrl(network, e.hash)]), ...(nativeNote ? [[], [`Note: ${nativeNote}`]] : [])];
+    const url = URL.createObjectURL(new Blob([toCsv(rows)], { type: "text/csv" })); const a = document.createElement("a");
+    a.href = url; a.download = `activity-${walletAddress.slice(0, 8)}-${network.chainId}.csv`; a.click(); URL.revokeObjectURL(url);
+  };
+  return (<motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -20 }} className="cyber-card w-full max-w-7xl rounded-2xl p-6 mb-4"><div className="flex items-center justify-between gap-4 flex-wrap mb-4"><h2 className="text-xl font-bold uppercase flex items-center gap-2" style={{ color: 'var(--primary-glow)', textShadow: '0 0 8px var(--primary-glow)' }}><Activity size={20} />Activity · {network.chainName}</h2><div className="flex items-center gap-2 flex-wrap"><select className="px-3 py-2 rounded-lg cyber-input text-sm" value={tokenFilter} onChange={(e) => setTokenFilter(e.target.value)}><option value="all">All tokens</option>{symbols.map((sym) => (<option key={sym} value={sym}>{sym}</option>))}</select><select className="px-3 py-2 rounded-lg cyber-input text-sm" value={dirFilter} onChange={(e) => setDirFilter(e.target.value)}><option value="all">In & out</option><option value="in">Incoming</option><option value="out">Outgoing</option></select><motion.button {...scaleTap} onClick={onRefresh} disabled={activity.loading} title="Refresh" className="p-2 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)] disabled:opacity-50"><RefreshCw size={16} /></motion.button><motion.button {...scaleTap} onClick={exportCsv} disabled={!shown.length} title="Export CSV" className="p-2 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)] disabled:opacity-50"><Download size={16} /></motion.button><motion.button {...scaleTap} onClick={onClose} title="Close" className="p-2 rounded-lg border border-[var(--border-color)] text-[var(--secondary-glow)]"><X size={16} /></motion.button></div></div>
+    {nativeNote && (<p className="mb-3 text-xs text-yellow-200/80 flex items-center gap-2"><Info size={14} className="shrink-0" />{nativeNote}</p>)}
+    <div className="max-h-[40vh] overflow-y-auto space-y-2 pr-2">{shown.map((e) => { const name = resolveName(e.counterparty); const url = explorerTxUrl(network, e.hash); return (<div key={e.id} className="flex items-center gap-4 p-3 rounded-lg bg-black/30 border border-[var(--border-color)] text-sm"><span className={e.direction === "out" ? "text-pink-400" : "text-green-400"}>{e.direction === "out" ? <ArrowUpRight size={18} /> : <ArrowDownLeft size={18} />}</span><div className="flex-1 overflow-hidden"><div className="font-bold">{e.direction === "out" ? "-" : "+"}{parseFloat(e.amount).toFixed(4)} {e.token}</div><div className="text-xs text-slate-400 truncate">{e.direction === "out" ? "To" : "From"} {name ? <span className="text-cyan-300">{name}</span> : <span className="font-mono">{e.counterparty}</span>}</div></div><div className="text-xs text-slate-400 text-right shrink-0"><div>{fmtTime(e.timestamp)}</div>{url && (<a href={url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center gap-1 text-cyan-300 hover:text-white">{network.explorerName || "Explorer"} <ExternalLink size={10} /></a>)}</div></div>); })}
+      {!activity.loading && !shown.length && (<p className="text-center text-slate-400 py-6">{activity.error || "No activity in the scanned blocks."}</p>)}
+      {activity.loading && (<div className="flex items-center justify-center gap-2 py-4 text-slate-400"><Loader2 size={16} className="animate-spin" />Scanning blocks...</div>)}</div>
+    {activity.nextBlock != null && !activity.loading && (<Button variant="secondary" onClick={onLoadMore} className="w-full mt-4 py-2 text-xs">Load older (before block {activity.nextBlock + 1})</Button>)}</motion.div>);
+}
+function AdminConsole({ users, reports, currentUser, busy, onSetStatus, onDeleteUser, onDeleteConversation, onDeleteMessage, onDismissReport, onRefresh, onClose }) {
+  const [tab, setTab] = useState("reports"); const [pair, setPair] = useState({ a: "", b: "" });
+  const others = users.filter((u) => u.username !== currentUser);
+  const tabClass = (t) => `flex items-center gap-1 text-xs px-3 py-2 rounded-lg border ${tab === t ? "border-pink-400 text-pink-300" : "border-[var(--border-color)] text-[var(--primary-glow)]"}`;
+  const small = "flex items-center gap-1 text-xs px-2 py-1 rounded-lg border disabled:opacity-50";
+  const statusButtons = (u) => (<>{u.status === "muted" ? (<button disabled={busy} onClick={() => onSetStatus(u, "active")} className={`${small} border-[var(--border-color)] text-green-300`}><Volume2 size={12} />Unmute</button>) : (<button disabled={busy || u.status === "blocked"} onClick={() => onSetStatus(u, "muted")} className={`${small} border-[var(--border-color)] text-yellow-200`}><VolumeX size={12} />Mute</button>)}{u.status === "blocked" ? (<button disabled={busy} onClick={() => onSetStatus(u, "active")} className={`${small} border-[var(--border-color)] text-green-300`}><Ban size={12} />Unblock</button>) : (<button disabled={busy} onClick={() => onSetStatus(u, "blocked")} className={`${small} border-red-500/60 text-red-300`}><Ban size={12} />Block</button>)}</>);
+  return (<motion.div initial={{ opacity: 0, y: -20 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -20 }} className="cyber-card w-full max-w-7xl rounded-2xl p-6 mb-4"><div className="flex items-center justify-between gap-4 flex-wrap mb-4"><h2 className="text-xl font-bold uppercase flex items-center gap-2" style={{ color: 'var(--primary-glow)', textShadow: '0 0 8px var(--primary-glow)' }}><Shield size={20} />Admin Console</h2><div className="flex items-center gap-2 flex-wrap"><motion.button {...scaleTap} onClick={() => setTab("reports")} className={tabClass("reports")}><Flag size={12} />Reports ({reports.length})</motion.button><motion.button {...scaleTap} onClick={() => setTab("users")} className={tabClass("users")}><User size={12} />Users</motion.button><motion.button {...scaleTap} onClick={onRefresh} title="Refresh" className="p-2 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)]"><RefreshCw size={16} /></motion.button><motion.button {...scaleTap} onClick={onClose} title="Close" className="p-2 rounded-lg border border-[var(--border-color)] text-[var(--secondary-glow)]"><X size={16} /></motion.button></div></div>
+    <p className="mb-4 text-xs text-slate-400 flex items-center gap-2"><AlertTriangle size={14} className="text-yellow-300 shrink-0" />Deletions are permanent. Each one asks your wallet to sign a confirmation.</p>
+    {tab === "reports" && (<div className="max-h-[40vh] overflow-y-auto space-y-2 pr-2">{reports.length ? [...reports].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map((r) => { const sender = users.find((u) => u.username === r.sender); return (<div key={r._id} className="p-3 rounded-lg bg-black/30 border border-[var(--border-color)] text-sm"><div className="flex justify-between gap-4 text-xs text-slate-400 mb-1"><span><span className="text-cyan-300">{r.reporter}</span> reported <span className="text-pink-300">{r.sender}</span> · {r.reason}</span><span>{formatStamp(r.createdAt)}</span></div><p className="break-words text-slate-200 mb-1">{r.excerpt || <span className="italic text-slate-500">No text (payment or unreadable message)</span>}</p><p className="text-[10px] text-slate-500 mb-2">Text as decrypted by the reporter. Sent {r.sentAt ? new Date(r.sentAt).toLocaleString() : "at an unknown time"}.</p><div className="flex gap-2 flex-wrap"><button disabled={busy} onClick={() => onDismissReport(r)} className={`${small} border-[var(--border-color)] text-slate-300`}><X size={12} />Dismiss</button><button disabled={busy} onClick={() => onDeleteMessage(r)} className={`${small} border-red-500/60 text-red-300`}><Trash2 size={12} />Delete message</button>{sender && statusButtons(sender)}{sender && (<button disabled={busy} onClick={() => onDeleteUser(sender)} className={`${small} border-red-500/60 text-red-300`}><UserX size={12} />Delete sender</button>)}</div></div>); }) : (<p className="text-center text-slate-400 py-6">No open reports.</p>)}</div>)}
+    {tab === "users" && (<div className="space-y-4"><div className="max-h-[35vh] overflow-y-auto space-y-2 pr-2">{others.map((u) => (<div key={u.username} className="flex items-center gap-3 p-3 rounded-lg bg-black/30 border border-[var(--border-color)] text-sm flex-wrap"><span className="font-bold tracking-wider">{u.username}</span>{Moderation.isAdmin(u) && (<span className="text-[10px] uppercase tracking-wider text-cyan-300">admin</span>)}<StatusBadge status={u.status} /><span className="flex-1 min-w-0 truncate font-mono text-xs text-cyan-300/70">{u.walletAddress}</span><div className="flex gap-2">{statusButtons(u)}<button disabled={busy} onClick={() => onDeleteUser(u)} className={`${small} border-red-500/60 text-red-300`}><UserX size={12} />Delete</button></div></div>))}{!others.length && (<p className="text-center text-slate-400 py-6">No other users.</p>)}</div>
+      <div className="pt-4 border-t border-[var(--border-color)] flex items-center gap-2 flex-wrap"><MessagesSquare size={16} className="text-[var(--primary-glow)]" /><span className="text-xs uppercase tracking-wider text-slate-400">Delete conversation</span>{["a", "b"].map((k) => (<select key={k} className="px-3 py-2 rounded-lg cyber-input text-sm" value={pair[k]} onChange={(e) => setPair({ ...pair, [k]: e.target.value })}><option value="">Select user</option>{users.map((u) => (<option key={u.username} value={u.username}>{u.username}</option>))}</select>))}<Button variant="danger" className="px-3 py-2 text-xs" disabled={busy || !pair.a || !pair.b || pair.a === pair.b} onClick={() => onDeleteConversation(pair.a, pair.b)}>Delete</Button></div></div>)}</motion.div>);
+}
+const TOAST_TTL_MS = 5000;
+function ToastStack({ toasts, onDismiss }) { const kinds = { info: [Info, "border-cyan-400 text-cyan-200"], success: [CheckCircle2, "border-green-400 text-green-200"], warning: [AlertTriangle, "border-yellow-400 text-yellow-200"], error: [XCircle, "border-red-500 text-red-200"] }; return (<div className="fixed top-4 right-4 z-50 flex flex-col gap-3 w-80 max-w-[calc(100vw-2rem)]"><AnimatePresence>{toasts.map((t) => { const [Icon, color] = kinds[t.type] || kinds.info; return (<motion.div key={t.id} layout initial={{ opacity: 0, x: 100 }} animate={{ opacity: 1, x: 0 }} exit={{ opacity: 0, x: 100 }} role={t.type === "error" ? "alert" : "status"} className={`cyber-card flex items-start gap-3 p-4 rounded-lg border ${color}`}><Icon size={18} className="shrink-0 mt-0.5" /><p className="flex-1 text-sm break-words">{t.text}</p><button onClick={() => onDismiss(t.id)} className="shrink-0 opacity-60 hover:opacity-100"><X size={14} /></button></motion.div>); })}</AnimatePresence></div>); }
 function Card({ title, children, footer }) { return (<motion.div variants={pageTransition} initial="initial" animate="animate" exit="exit" className="cyber-card w-full max-w-xl rounded-2xl p-6 relative overflow-hidden"><div className="relative z-10">{title && (<motion.h2 initial={{ y: -20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ delay: 0.1 }} className="text-2xl font-bold mb-6 text-center uppercase" style={{ color: 'var(--primary-glow)', textShadow: '0 0 8px var(--primary-glow)'}}>{title}</motion.h2>)}<motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} transition={{ delay: 0.2 }}>{children}</motion.div>{footer && (<motion.div initial={{ y: 20, opacity: 0 }} animate={{ y: 0, opacity: 1 }} transition={{ delay: 0.3 }} className="mt-6">{footer}</motion.div>)}</div></motion.div>); }
-function MessageBubble({ m, currentUser }) { const isSent = m.sender === currentUser; const time = new Date(m.createdAt || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }); return (<motion.div variants={isSent ? messageSlideRight : messageSlideLeft} initial="hidden" animate="visible" className={`w-full flex mb-4 group ${isSent ? 'justify-end' : 'justify-start'}`}><div className={`max-w-md p-4 rounded-2xl relative shadow-lg ${isSent ? 'bg-gradient-to-br from-cyan-500/20 to-transparent border-2 border-cyan-500/50 rounded-br-none' : 'bg-slate-800/50 border border-slate-700/80 rounded-bl-none'}`}><p className="text-sm break-words leading-relaxed">{m.text}</p><span className="text-xs opacity-60 mt-2 block text-right">{time}</span><div className={`absolute bottom-0 w-3 h-3 rounded-full blur-md opacity-70 group-hover:opacity-100 transition-opacity ${isSent ? 'right-0 bg-cyan-400' : 'left-0 bg-pink-400'}`} /></div></motion.div>); }
-function UserItem({ u, selected, onClick }) { return (<motion.button {...scaleTap} variants={bounceIn} onClick={onClick} className={`flex items-center gap-4 w-full p-3 rounded-lg border transition-all duration-300 relative overflow-hidden group ${selected ? "bg-cyan-500/30 border-cyan-400 shadow-[0_0_15px_rgba(0,246,255,0.5)]" : "bg-black/30 border-[var(--border-color)] hover:bg-cyan-500/10"}`}><motion.div className="w-10 h-10 rounded-full bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center text-white shadow-lg shrink-0"><User size={18} /></motion.div><div className="text-left flex-1 overflow-hidden"><div className="font-bold tracking-wider truncate">{u.username}</div><div className="text-xs text-cyan-300/70 truncate font-mono">{u.walletAddress}</div></div><div className={`w-3 h-3 rounded-full shadow-lg transition-all shrink-0 ${selected ? 'bg-green-400 shadow-green-400/50' : 'bg-slate-500'}`} animate={{ scale: [1, 1.2, 1] }} transition={{ duration: 2, repeat: Infinity }} /></motion.button>); }
+function PaymentCard({ transfer, txHash, status, isSent }) { const net = findNetwork(transfer.chainId); const txUrl = net && txHash && explorerTxUrl(net, txHash); const styles = { pending: { icon: <Loader2 size={14} className="animate-spin" />, label: "Checking chain", color: "text-yellow-300" }, confirmed: { icon: <CheckCircle2 size={14} />, label: "Confirmed", color: "text-green-400" }, failed: { icon: <XCircle size={14} />, label: "Failed", color: "text-red-400" }, unverified: { icon: <ShieldAlert size={14} />, label: "Unverified", hint: "The transaction on-chain does not match this payment's sender, recipient, token or amount.", color: "text-orange-400" }, unknownNetwork: { icon: <Globe size={14} />, label: `Unknown network (chain ${Number(transfer.chainId) || "?"})`, color: "text-slate-400" } }; const st = styles[net ? status : "unknownNetwork"] || styles.pending; return (<div className="mb-2 p-3 rounded-lg bg-black/40 border border-[var(--border-color)]"><div className="flex items-center gap-2 text-xs uppercase tracking-wider text-slate-400"><Coins size={14} />{isSent ? "Payment sent" : "Payment received"}</div><div className="text-xl font-bold text-[var(--primary-glow)] my-1">{transfer.amount} {transfer.token}</div><div className="flex items-center justify-between gap-4 text-xs"><span title={st.hint} className={`flex items-center gap-1 ${st.color}`}>{st.icon}{st.label}</span>{txUrl && (<a href={txUrl} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1 text-cyan-300 hover:text-white">{net.explorerName || "Explorer"} <ExternalLink size={12} /></a>)}</div></div>); }
+function useOpenedText(text, keyPair) { const [opened, setOpened] = useState({ status: "plain", text }); useEffect(() => { if (!E2E.isSealed(text)) { setOpened({ status: "plain", text }); return; } if (!keyPair) { setOpened({ status: "locked", text: "" }); return; } let cancelled = false; E2E.open(text, keyPair).then((plain) => { if (!cancelled) setOpened({ status: "opened", text: plain }); }).catch(() => { if (!cancelled) setOpened({ status: "failed", text: "" }); }); return () => { cancelled = true; }; }, [text, keyPair]); return opened; }
+function DeliveryStatus({ m, onRetry }) { if (m.status === "sending") return <span title="Sending"><Clock size={10} /></span>; if (m.status === "queued") return <span className="flex items-center gap-1 text-yellow-300"><WifiOff size={10} />Queued</span>; if (m.status === "failed") return (<button onClick={() => onRetry(m)} className="flex items-center gap-1 text-red-400 hover:text-white"><XCircle size={10} />Failed · Retry</button>); return null; }
+function HighlightedText({ text, query }) { if (!query) return text; const parts = text.split(new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`, "gi")); return parts.map((part, i) => (i % 2 ? <mark key={i} className="bg-pink-500/60 text-white rounded px-0.5">{part}</mark> : part)); }
+const formatStamp = (iso) => { const d = new Date(iso); return d.toDateString() === new Date().toDateString() ? d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : d.toLocaleDateString([], { month: 'short', day: 'numeric' }); };
+function MessageActions({ m, isSent, onHide, onReport }) { const [reporting, setReporting] = useState(false); const [reason, setReason] = useState(REPORT_REASONS[0]); const [busy, setBusy] = useState(false); const report = async () => { setBusy(true); const sent = await onReport(m, reason); setBusy(false); if (sent) setReporting(false); }; if (reporting) return (<div className="mt-2 flex items-center gap-2 text-xs"><select className="px-2 py-1 rounded-lg cyber-input text-xs" value={reason} onChange={(e) => setReason(e.target.value)}>{REPORT_REASONS.map((r) => (<option key={r} value={r}>{r}</option>))}</select><button onClick={report} disabled={busy} className="text-pink-300 hover:text-white disabled:opacity-50">{busy ? "Sending..." : "Report"}</button><button onClick={() => setReporting(false)} className="text-slate-400 hover:text-white">Cancel</button></div>); if (m.status === "sending") return null; return (<div className={`absolute -top-3 ${isSent ? "left-3" : "right-3"} flex gap-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity`}><button onClick={() => onHide(m)} title={m._id ? "Delete for me" : "Discard"} className="p-1 rounded-md bg-black/70 border border-[var(--border-color)] text-slate-300 hover:text-white"><Trash2 size={12} /></button>{!isSent && m._id && (<button onClick={() => setReporting(true)} title="Report" className="p-1 rounded-md bg-black/70 border border-[var(--border-color)] text-pink-300 hover:text-white"><Flag size={12} /></button>)}</div>); }
+function MessageBubble({ m, currentUser, txStatus, keyPair, onRetry, onHide, onReport, highlight }) { const isSent = m.sender === currentUser; const opened = useOpenedText(m.text, keyPair); const time = new Date(m.createdAt || Date.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }); return (<motion.div data-msg-id={m._id || m.clientId} variants={isSent ? messageSlideRight : messageSlideLeft} initial="hidden" animate="visible" className={`w-full flex mb-4 group ${isSent ? 'justify-end' : 'justify-start'}`}><div className={`max-w-md p-4 rounded-2xl relative shadow-lg transition-shadow ${isSent ? 'bg-gradient-to-br from-cyan-500/20 to-transparent border-2 border-cyan-500/50 rounded-br-none' : 'bg-slate-800/50 border border-slate-700/80 rounded-bl-none'} ${highlight ? 'ring-2 ring-pink-400 shadow-[0_0_20px_rgba(255,0,193,0.6)]' : ''}`}>{m.transfer && (<PaymentCard transfer={m.transfer} txHash={m.txHash} status={txStatus?.[m.txHash]} isSent={isSent} />)}{opened.status === "locked" || opened.status === "failed" ? (<p className="text-sm italic flex items-center gap-2 text-red-300/80"><Lock size={14} />{opened.status === "locked" ? "Encrypted. Unlock to read." : "Cannot decrypt this message."}</p>) : (<p className="text-sm break-words leading-relaxed"><HighlightedText text={opened.text} query={highlight} /></p>)}<span className="text-xs opacity-60 mt-2 flex items-center justify-end gap-1">{isSent && <DeliveryStatus m={m} onRetry={onRetry} />}{opened.status === "opened" && <Lock size={10} />}{time}</span><MessageActions m={m} isSent={isSent} onHide={onHide} onReport={onReport} /><div className={`absolute bottom-0 w-3 h-3 rounded-full blur-md opacity-70 group-hover:opacity-100 transition-opacity ${isSent ? 'right-0 bg-cyan-400' : 'left-0 bg-pink-400'}`} /></div></motion.div>); }
+function StatusBadge({ status }) { if (!status || status === "active") return null; return (<span className={`shrink-0 px-1.5 rounded text-[10px] uppercase tracking-wider border ${status === "blocked" ? "border-red-500 text-red-300" : "border-yellow-400 text-yellow-200"}`}>{status}</span>); }
+function SecurityBadge({ u }) { const verified = E2E.isVerified(u); const [Icon, color, label] = verified ? [ShieldCheck, "text-green-400", "Encrypted, key verified by wallet signature"] : u.encryptionKey ? [Lock, "text-yellow-300", "Encrypted, key not verified"] : [ShieldAlert, "text-slate-500", "No encryption key, messages are sent unencrypted"]; return (<span title={label} className={`shrink-0 ${color}`}><Icon size={14} /></span>); }
+function ConversationPreview({ lastMessage, currentUser, keyPair }) { const opened = useOpenedText(lastMessage.text, keyPair); const body = lastMessage.transfer ? `Payment: ${lastMessage.transfer.amount} ${lastMessage.transfer.token}` : opened.status === "locked" ? "Encrypted message" : opened.status === "failed" ? "Cannot decrypt" : opened.text; return (<div className="text-xs text-slate-400 truncate">{lastMessage.sender === currentUser && "You: "}{body}</div>); }
+function UserItem({ u, selected, unread, lastMessage, currentUser, keyPair, onClick }) { return (<motion.button {...scaleTap} variants={bounceIn} onClick={onClick} className={`flex items-center gap-4 w-full p-3 rounded-lg border transition-all duration-300 relative overflow-hidden group ${selected ? "bg-cyan-500/30 border-cyan-400 shadow-[0_0_15px_rgba(0,246,255,0.5)]" : "bg-black/30 border-[var(--border-color)] hover:bg-cyan-500/10"}`}><motion.div className="w-10 h-10 rounded-full bg-gradient-to-br from-cyan-500 to-blue-600 flex items-center justify-center text-white shadow-lg shrink-0"><User size={18} /></motion.div><div className="text-left flex-1 overflow-hidden"><div className="font-bold tracking-wider flex items-center gap-2"><span className="truncate">{u.username}</span><SecurityBadge u={u} /><StatusBadge status={u.status} />{lastMessage && <span className="ml-auto text-xs font-normal text-slate-400 shrink-0">{formatStamp(lastMessage.createdAt)}</span>}</div>{lastMessage ? (<ConversationPreview lastMessage={lastMessage} currentUser={currentUser} keyPair={keyPair} />) : (<div className="text-xs text-cyan-300/70 truncate font-mono">{u.walletAddress}</div>)}</div>{unread > 0 && (<motion.span initial={{ scale: 0 }} animate={{ scale: 1 }} className="min-w-[1.5rem] h-6 px-2 rounded-full bg-pink-500 text-white text-xs font-bold flex items-center justify-center shrink-0">{unread > 99 ? "99+" : unread}</motion.span>)}<div className={`w-3 h-3 rounded-full shadow-lg transition-all shrink-0 ${selected ? 'bg-green-400 shadow-green-400/50' : 'bg-slate-500'}`} animate={{ scale: [1, 1.2, 1] }} transition={{ duration: 2, repeat: Infinity }} /></motion.button>); }
+
+// Stand-in for a phone wallet, opened in a second tab from the pairing screen. Dev builds only; it signs with a throwaway key.
+function TestSignerPage({ uri }) {
+  const [wallet] = useState(() => { const stored = sessionStorage.getItem("cscTestSignerKey"); const w = stored ? new ethers.Wallet(stored) : ethers.Wallet.createRandom(); sessionStorage.setItem("cscTestSignerKey", w.privateKey); return w; });
+  const [relay, setRelay] = useState(null); const [paired, setPaired] = useState(false); const [requests, setRequests] = useState([]); const [chainId, setChainId] = useState(NETWORKS[0].chainId);
+  useEffect(() => { let r, closed = false; openRelay(uri, "wallet", (msg) => { if (msg.type === "request") setRequests((q) => [...q, msg]); if (msg.type === "disconnect") setPaired(false); }).then((opened) => { r = opened; if (closed) opened.close(); else setRelay(opened); }); return () => { closed = true; r?.close(); }; }, [uri]);
+  const respond = (req, result, error) => { relay.send({ type: "response", id: req.id, ...(error ? { error } : { result }) }); setRequests((q) => q.filter((x) => x.id !== req.id)); };
+  const approve = async (req) => {
+    try {
+        if (req.method === "personal_sign") return respond(req, await wallet.signMessage(ethers.getBytes(req.params[0])));
+        if (req.method === "eth_sendTransaction") {
+            const net = findNetwork(chainId);
+            if (!net) return respond(req, null, { code: 4901, message: `The test signer has no RPC for chain ${chainId}.` });
+            const { to, value, data, gas } = req.params[0];
+            const tx = await wallet.connect(rpcProvider(net)).sendTransaction({ to, data, ...(value && { value: BigInt(value) }), ...(gas && { gasLimit: BigInt(gas) }) });
+            return respond(req, tx.hash);
+        }
+        if (req.method === "wallet_switchEthereumChain") { setChainId(req.params[0].chainId); respond(req, null); return relay.send({ type: "event", event: "chainChanged", data: req.params[0].chainId }); }
+        if (req.method === "wallet_addEthereumChain") return respond(req, null);
+        if (req.method === "wallet_watchAsset") return respond(req, true);
+        respond(req, null, { code: 4200, message: `The test signer does not support ${req.method}.` });
+    } catch (e) { respond(req, null, { code: -32603, message: e.message }); }
+  };
+  const pair = () => { relay.send({ type: "session", accounts: [wallet.address], chainId }); setPaired(true); };
+  return (<div className="min-h-screen w-full bg-[#0a0a14] text-slate-100 flex flex-col items-center py-10 px-4"><FuturisticStyles /><Card title="Test Signer"><p className="text-xs text-slate-400 mb-4 break-all">Throwaway account: <span className="font-mono text-cyan-300">{wallet.address}</span></p>{!paired ? (<Button className="w-full" disabled={!relay} onClick={pair}>Approve Pairing</Button>) : (<div className="space-y-3">{requests.length ? requests.map((req) => (<div key={req.id} className="p-3 rounded-lg bg-black/30 border border-[var(--border-color)]"><p className="font-bold text-[var(--primary-glow)] mb-1">{req.method}</p>{req.method === "eth_sendTransaction" && (<p className="text-xs break-all text-slate-300 mb-2">To <span className="font-mono">{req.params[0].to}</span> · {ethers.formatEther(req.params[0].value || 0)} native{req.params[0].data && req.params[0].data !== "0x" ? " · contract call" : ""}</p>)}{req.method === "personal_sign" && (<pre className="text-xs whitespace-pre-wrap break-words text-slate-300 mb-2">{(() => { try { return ethers.toUtf8String(req.params[0]); } catch { return req.params[0]; } })()}</pre>)}<div className="flex gap-2"><Button className="flex-1 py-2 text-xs" onClick={() => approve(req)}>Approve</Button><Button variant="danger" className="flex-1 py-2 text-xs" onClick={() => respond(req, null, { code: 4001, message: "User rejected the request." })}>Reject</Button></div></div>)) : (<p className="text-center text-slate-400">Paired. Waiting for requests...</p>)}</div>)}</Card></div>);
+}
+
+// Pure helpers and the api client, exported for the tests (src/*.test.js).
+export { api, ApiError, AuthStorage, Siwe, Moderation, E2E, buildSignerUri, parseSignerUri, createRemoteProvider, OutboxStorage, createLiveChannel, NetworkStorage, TokenStorage, findNetwork, tokensFor, lookupToken, loadActivityPage, searchMessages, toCsv, paymentMatches, verifyPayment, NETWORKS };
 
 // --- Main App Component ---
 export default function App() {
+  const testSignerUri = TEST_SIGNER_ENABLED && window.location.hash.startsWith("#test-signer=") ? decodeURIComponent(window.location.hash.slice("#test-signer=".length)) : null;
+  return parseSignerUri(testSignerUri) ? <TestSignerPage uri={testSignerUri} /> : <ChatApp />;
+}
+
+function ChatApp() {
   const [step, setStep] = useState("connect");
   const [connectedAddress, setConnectedAddress] = useState("");
   const [balances, setBalances] = useState(null);
   const [loadingBalances, setLoadingBalances] = useState(false);
   const [manualAddress, setManualAddress] = useState("");
-  const [form, setForm] = useState({ username: "", password: "", email: "", phone: "", dob: "" });
+  const [form, setForm] = useState({ username: "", email: "", phone: "", dob: "" });
   const [session, setSession] = useState(null);
-  const [partner, setPartner] = useState(null);
+  const [partnerName, setPartnerName] = useState(null);
   const [message, setMessage] = useState("");
   const [users, setUsers] = useState([]);
   const [msgs, setMsgs] = useState([]);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [transferForm, setTransferForm] = useState({ token: "native", amount: "" });
+  const [networkId, setNetworkId] = useState(NetworkStorage.getActive);
+  const [activityOpen, setActivityOpen] = useState(false);
+  const [activity, setActivity] = useState({ entries: [], nextBlock: null, native: null, loading: false, error: "" });
+  const [sendingTransfer, setSendingTransfer] = useState(false);
+  const [txStatus, setTxStatus] = useState({});
+  const [keyPair, setKeyPair] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+  const [keyConflict, setKeyConflict] = useState(null);
+  const [outbox, setOutbox] = useState([]);
+  const [unread, setUnread] = useState({});
+  const [typing, setTyping] = useState({});
+  const [liveStatus, setLiveStatus] = useState("offline");
+  const [toasts, setToasts] = useState([]);
+  const [conversations, setConversations] = useState({});
+  const [hasOlder, setHasOlder] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [search, setSearch] = useState(null);
+  const [highlight, setHighlight] = useState(null);
+  const [wallets, setWallets] = useState([]);
+  const [walletProvider, setWalletProvider] = useState(null);
+  const [pairing, setPairing] = useState(null);
+  const [adminOpen, setAdminOpen] = useState(false);
+  const [reports, setReports] = useState([]);
+  const [moderating, setModerating] = useState(false);
+  const [plaintextAllowed, setPlaintextAllowed] = useState({});
   const chatEndRef = useRef(null);
+  const activityRequestRef = useRef(0);
+  const messagesAbortRef = useRef(null);
+  const toastIdRef = useRef(0);
+  const chatScrollRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+  const initialScrollRef = useRef(false);
+  const nearBottomRef = useRef(true);
+  const walletEventsRef = useRef(null);
+  const restoreConnectorRef = useRef(null);
+  const network = findNetwork(networkId) || NETWORKS[0];
+  // Looked up on every render so a key the contact publishes or rotates is used as soon as the user list reloads.
+  const partner = users.find((u) => u.username === partnerName) || null;
+  const channelRef = useRef(null);
+  const liveHandlerRef = useRef(null);
+  const unauthorizedRef = useRef(null);
+  const pollRef = useRef(null);
+  const flushOutboxRef = useRef(null);
+  const lastSeenRef = useRef(new Date().toISOString());
+  const watchedTxRef = useRef(new Set());
+  const lastTypingSentRef = useRef(0);
   
-  const isRegisterFormValid = () => !validators.username(form.username) && !validators.password(form.password) && !validators.email(form.email) && !validators.phone(form.phone) && !validators.dob(form.dob);
-  const isLoginFormValid = () => form.username.trim().length > 0 && form.password.trim().length > 0;
+  const isRegisterFormValid = () => !validators.username(form.username) && !validators.email(form.email) && !validators.phone(form.phone) && !validators.dob(form.dob);
 
-  const scrollToBottom = () => chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  useEffect(scrollToBottom, [msgs]);
+  const dismissToast = (id) => setToasts((t) => t.filter((x) => x.id !== id));
+  const notify = (text, type = "error") => { if (!text) return; const id = ++toastIdRef.current; setToasts((t) => [...t, { id, text, type }]); setTimeout(() => dismissToast(id), TOAST_TTL_MS); };
 
-  const loadUsers = async () => { try { const res = await api.getUsers(); if (Array.isArray(res)) setUsers(res); } catch (e) { console.error("Failed to load users:", e); } };
-  const loadMessages = async () => { if (!session || !partner) return; try { const res = await api.getMessages(session.user.username, partner.username); if (Array.isArray(res)) setMsgs(res); } catch (e) { console.error("Failed to load messages:", e); } };
+  const scrollToBottom = (behavior = "smooth") => chatEndRef.current?.scrollIntoView({ behavior });
+  // After older history is prepended, keep the viewport on the same message instead of jumping to the bottom.
+  // A freshly opened thread jumps straight to the end: a smooth scroll would start at the top and trigger loadOlder.
+  // Later updates only follow the thread if the reader was already at the end or just sent something themselves.
+  useLayoutEffect(() => {
+    const el = chatScrollRef.current, anchor = scrollAnchorRef.current;
+    if (anchor && el) { el.scrollTop = el.scrollHeight - anchor; scrollAnchorRef.current = null; return; }
+    const initial = initialScrollRef.current;
+    initialScrollRef.current = false;
+    if (!pendingJumpRef.current && !highlight && (initial || nearBottomRef.current)) scrollToBottom(initial ? "auto" : "smooth");
+  }, [msgs, outbox]);
 
-  useEffect(() => { if (session) loadUsers(); }, [session]);
-  useEffect(() => { if (session && partner) { setMsgs([]); loadMessages(); } }, [session, partner]);
+  const loadUsers = async () => { try { const res = await api.getUsers(); if (Array.isArray(res)) setUsers(res); } catch (e) { console.error("Failed to load users:", e); notify(errorText(e, "Failed to load contacts.")); } };
+  const toConversationMap = (list) => Object.fromEntries(list.map((c) => [c.partner, c.lastMessage]));
+  const loadConversations = async () => { try { const res = await api.getConversations(); if (Array.isArray(res)) setConversations(toConversationMap(res)); } catch (e) { console.error("Failed to load conversations:", e); notify(errorText(e, "Failed to load conversations.")); } };
+  // Switching partners cancels the previous thread request so a slow response can't overwrite the new conversation.
+  const loadMessages = async () => { if (!session || !partner) return; messagesAbortRef.current?.abort(); const controller = new AbortController(); messagesAbortRef.current = controller; initialScrollRef.current = true; try { const res = await api.getMessages(session.user.username, partner.username, { limit: HISTORY_PAGE_SIZE, signal: controller.signal }); if (Array.isArray(res)) { setMsgs(res); setHasOlder(res.length >= HISTORY_PAGE_SIZE); syncTransferStatus(res); } } catch (e) { if (!e.aborted) { initialScrollRef.current = false; console.error("Failed to load messages:", e); notify(errorText(e, "Failed to load messages.")); } } };
+
+  const loadOlder = async () => {
+    if (!session || !partner || !hasOlder || loadingOlder || !msgs.length) return;
+    setLoadingOlder(true);
+    const signal = messagesAbortRef.current?.signal;
+    try {
+        const res = await api.getMessages(session.user.username, partner.username, { before: msgs[0].createdAt, limit: HISTORY_PAGE_SIZE, signal });
+        if (!Array.isArray(res)) return;
+        const known = new Set(msgs.map((m) => m._id)), older = res.filter((m) => !known.has(m._id));
+        // A server that ignores paging answers with the full thread again; nothing new means we've reached the start.
+        setHasOlder(older.length > 0 && res.length >= HISTORY_PAGE_SIZE);
+        if (!older.length) return;
+        const el = chatScrollRef.current;
+        if (el) scrollAnchorRef.current = el.scrollHeight - el.scrollTop;
+        setMsgs((prev) => [...older, ...prev]); syncTransferStatus(older);
+    } catch (e) { if (!e.aborted) { console.error("Failed to load older messages:", e); notify(errorText(e, "Failed to load older messages.")); } }
+    finally { setLoadingOlder(false); }
+  };
+  const handleChatScroll = (e) => { const el = e.currentTarget; nearBottomRef.current = el.scrollHeight - el.scrollTop - el.clientHeight < NEAR_BOTTOM_PX; if (!initialScrollRef.current && el.scrollTop < 60) loadOlder(); };
+
+  useEffect(() => { if (session) { loadUsers(); loadConversations(); } }, [session]);
+  useEffect(() => { if (session && partner) { setMsgs([]); setHasOlder(false); loadMessages(); } }, [session, partnerName]);
+
+  // Search results can point at messages older than the loaded page, so keep paging back until the target shows up.
+  useEffect(() => {
+    const target = pendingJumpRef.current;
+    // Skip the render where msgs still holds the previous partner's thread.
+    if (!target || target.partner !== partner?.username || !msgs.some((m) => m.sender === partner.username || m.receiver === partner.username)) return;
+    const el = chatScrollRef.current?.querySelector(`[data-msg-id="${target.id}"]`);
+    if (el) { pendingJumpRef.current = null; el.scrollIntoView({ behavior: "smooth", block: "center" }); setHighlight({ id: target.id, query: target.query }); return; }
+    if (hasOlder) loadOlder(); else { pendingJumpRef.current = null; notify("That message is no longer in the conversation history.", "warning"); }
+  }, [msgs, hasOlder]);
+  useEffect(() => { if (!highlight) return; const timer = setTimeout(() => setHighlight(null), 4000); return () => clearTimeout(timer); }, [highlight]);
+  // Declared before the save below so a new session loads its own outbox before anything is written.
+  const outboxUser = session?.user.username;
+  useEffect(() => { if (outboxUser) setOutbox(OutboxStorage.get(outboxUser).map((m) => (m.status === "sending" ? { ...m, status: "queued" } : m))); }, [outboxUser]);
+  useEffect(() => { if (outboxUser) OutboxStorage.set(outboxUser, outbox); }, [outbox]);
+
+  useEffect(() => {
+    if (!session?.token) return;
+    const channel = createLiveChannel({ token: session.token, onEvent: (evt) => liveHandlerRef.current(evt), onStatus: setLiveStatus, poll: () => pollRef.current() });
+    channelRef.current = channel;
+    return () => { channel.close(); channelRef.current = null; setLiveStatus("offline"); };
+  }, [session?.token]);
+
+  useEffect(() => {
+    const onOnline = () => flushOutboxRef.current();
+    const onOffline = () => setLiveStatus("offline");
+    window.addEventListener("online", onOnline); window.addEventListener("offline", onOffline);
+    return () => { window.removeEventListener("online", onOnline); window.removeEventListener("offline", onOffline); };
+  }, []);
+  useEffect(() => { if (liveStatus === "live" || liveStatus === "polling") flushOutboxRef.current(); }, [liveStatus]);
 
   useEffect(() => {
     const savedAuth = AuthStorage.getAuth();
-    if (savedAuth?.token && savedAuth?.user && savedAuth?.address) {
-      setSession(savedAuth); setConnectedAddress(savedAuth.address); setStep("chat"); fetchBalances(savedAuth.address);
-    } else if (savedAuth?.address) {
-      setConnectedAddress(savedAuth.address); setStep("chooseAuth"); fetchBalances(savedAuth.address);
-    }
+    if (!savedAuth?.address) return;
+    if (savedAuth.watchOnly) { setConnectedAddress(savedAuth.address); setStep("watch"); fetchBalances(savedAuth.address); return; }
+    // A stored session is only trusted while its SIWE signature still verifies and neither it nor the token has lapsed.
+    const siweError = Siwe.verify(savedAuth.siwe, { address: savedAuth.address });
+    if (siweError || (savedAuth.expiresAt && savedAuth.expiresAt <= Date.now())) { AuthStorage.clearAuth(); return; }
+    setConnectedAddress(savedAuth.address); fetchBalances(savedAuth.address);
+    if (savedAuth.connector?.id === "remote") createRemoteProvider(savedAuth.connector.uri, savedAuth.connector.session).then(setWalletProvider).catch((e) => console.error("Failed to restore remote signer:", e));
+    else restoreConnectorRef.current = savedAuth.connector?.id;
+    if (savedAuth.token && savedAuth.user) { setSession(savedAuth); setStep("chat"); } else { setStep("register"); }
   }, []);
 
-  const switchToBSC = async () => {
-    if (!window.ethereum) return false;
-    try { await window.ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: BSC_MAINNET.chainId }], }); return true; } 
-    catch (e) { if (e.code === 4902) { try { await window.ethereum.request({ method: 'wallet_addEthereumChain', params: [BSC_MAINNET], }); return true; } catch (addError) { console.error('Failed to add BSC:', addError); return false; } } console.error('Failed to switch to BSC:', e); return false; }
+  useEffect(() => discoverInjectedWallets(setWallets), []);
+  useEffect(() => { api.onUnauthorized = () => unauthorizedRef.current(); return () => { api.onUnauthorized = null; }; }, []);
+  // Injected providers arrive asynchronously, so a restored session picks its wallet back up once it announces itself.
+  useEffect(() => { const match = wallets.find((w) => w.id === restoreConnectorRef.current); if (match) { restoreConnectorRef.current = null; setWalletProvider(match.provider); } }, [wallets]);
+  // One set of listeners per provider, removed when the provider changes or the user logs out.
+  useEffect(() => {
+    if (!walletProvider?.on) return;
+    const onAccounts = (accounts) => walletEventsRef.current.accountsChanged(accounts);
+    const onChain = (chainId) => walletEventsRef.current.chainChanged(chainId);
+    const onDisconnect = () => walletEventsRef.current.disconnect();
+    walletProvider.on("accountsChanged", onAccounts); walletProvider.on("chainChanged", onChain); walletProvider.on("disconnect", onDisconnect);
+    return () => { walletProvider.removeListener?.("accountsChanged", onAccounts); walletProvider.removeListener?.("chainChanged", onChain); walletProvider.removeListener?.("disconnect", onDisconnect); };
+  }, [walletProvider]);
+
+  useEffect(() => {
+    if (!session?.expiresAt) return;
+    const timer = setTimeout(() => { notify("Your session has expired. Please sign in again.", "warning"); handleLogout(); }, Math.max(session.expiresAt - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [session?.expiresAt]);
+
+  const switchNetwork = async (net, provider = walletProvider) => {
+    if (!provider) return false;
+    try { await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: net.chainId }], }); return true; } 
+    catch (e) { if (e.code === 4902) { try { await provider.request({ method: 'wallet_addEthereumChain', params: [chainParams(net)], }); return true; } catch (addError) { console.error(`Failed to add ${net.chainName}:`, addError); return false; } } console.error(`Failed to switch to ${net.chainName}:`, e); return false; }
   };
 
-  const fetchBalances = async (addr) => {
+  const fetchBalances = async (addr, net = network) => {
     if (!addr) return; setLoadingBalances(true); setBalances(null);
-    try { await switchToBSC(); const provider = new ethers.JsonRpcProvider(BSC_MAINNET.rpcUrls[0]); const results = { BNB: "0.0000", USDT: "0.00", USDC: "0.00" }; const promises = [provider.getBalance(addr).then(b => { results.BNB = parseFloat(ethers.formatEther(b)).toFixed(4); }).catch(() => results.BNB = "Error"), ...Object.entries(TOKENS).map(([sym, adr]) => (async () => { try { const contract = new ethers.Contract(adr, ERC20_ABI, provider); const [bal, dec] = await Promise.all([contract.balanceOf(addr), contract.decimals()]); results[sym] = parseFloat(ethers.formatUnits(bal, Number(dec))).toFixed(2); } catch { results[sym] = "Error"; } })())]; await Promise.all(promises); setBalances(results); } 
-    catch (e) { console.error("Balance fetch error:", e); setBalances({ BNB: "Error", USDT: "Error", USDC: "Error" }); } 
+    const native = net.nativeCurrency.symbol, tokens = tokensFor(addr, net);
+    const labels = tokens.map(({ symbol, address }) => (tokens.filter((t) => t.symbol === symbol).length > 1 ? `${symbol} (${address.slice(0, 6)})` : symbol));
+    try { const provider = rpcProvider(net); const results = { [native]: "0.0000", ...Object.fromEntries(labels.map((l) => [l, "0.00"])) }; const promises = [provider.getBalance(addr).then(b => { results[native] = parseFloat(ethers.formatEther(b)).toFixed(4); }).catch(() => results[native] = "Error"), ...tokens.map((t, i) => (async () => { try { const contract = new ethers.Contract(t.address, ERC20_ABI, provider); const [bal, dec] = await Promise.all([contract.balanceOf(addr), t.decimals ?? contract.decimals()]); results[labels[i]] = parseFloat(ethers.formatUnits(bal, Number(dec))).toFixed(2); } catch { results[labels[i]] = "Error"; } })())]; await Promise.all(promises); setBalances(results); } 
+    catch (e) { console.error("Balance fetch error:", e); setBalances({ [native]: "Error" }); } 
     finally { setLoadingBalances(false); }
   };
+
+  const activateNetwork = (net, addr = connectedAddress) => { setNetworkId(net.chainId); NetworkStorage.setActive(net.chainId); setTransferForm((f) => ({ ...f, token: "native" })); fetchBalances(addr, net); };
+  const selectNetwork = async (chainId) => {
+    const net = findNetwork(chainId);
+    if (!net) return;
+    if (walletProvider && step !== "watch" && step !== "connect") { const switched = await switchNetwork(net); if (!switched) return notify(`Please switch your wallet to ${net.chainName}.`); }
+    activateNetwork(net);
+  };
+
+  const loadActivity = async (reset) => {
+    const request = ++activityRequestRef.current;
+    setActivity((a) => ({ ...(reset ? { entries: [], nextBlock: null, native: null } : a), loading: true, error: "" }));
+    try {
+        const page = await loadActivityPage(connectedAddress, network, reset ? null : activity.nextBlock);
+        if (request === activityRequestRef.current) setActivity((a) => ({ entries: reset ? page.entries : [...a.entries, ...page.entries], nextBlock: page.nextBlock, native: page.native.indexed || !a.native ? page.native : a.native, loading: false, error: "" }));
+    } catch (e) {
+        console.error("Activity scan failed:", e);
+        if (request === activityRequestRef.current) setActivity((a) => ({ ...a, loading: false, error: `Could not read activity from ${network.chainName}.` }));
+    }
+  };
+  useEffect(() => { if (activityOpen && connectedAddress) loadActivity(true); }, [activityOpen, networkId, connectedAddress]);
+  const resolveName = (addr) => users.find((u) => u.walletAddress && addr && u.walletAddress.toLowerCase() === addr.toLowerCase())?.username;
+
+  // Both return an error string for NetworkPanel to show, or null on success.
+  const addCustomNetwork = async ({ chainName, rpcUrl, chainId, symbol, explorer }) => {
+    if (!chainName.trim() || !symbol.trim()) return "Name and currency symbol are required";
+    if (!/^https?:\/\/\S+$/.test(rpcUrl.trim())) return "Enter a valid RPC URL";
+    if (!/^\d+$/.test(chainId.trim())) return "Chain ID must be a number";
+    const id = ethers.toQuantity(BigInt(chainId.trim()));
+    if (NETWORKS.some((n) => n.chainId === id)) return "That network is already built in";
+    try {
+        const response = await fetch(rpcUrl.trim(), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] }) });
+        const { result } = await response.json();
+        if (BigInt(result) !== BigInt(id)) return `RPC reports chain ID ${BigInt(result)}, not ${chainId.trim()}`;
+    } catch (e) { console.error("RPC check failed:", e); return "Could not reach that RPC endpoint"; }
+    const base = explorer.trim().replace(/\/?$/, "/");
+    const net = { chainId: id, chainName: chainName.trim(), rpcUrls: [rpcUrl.trim()], nativeCurrency: { name: symbol.trim(), symbol: symbol.trim(), decimals: 18 }, blockExplorerUrls: explorer.trim() ? [base] : [], explorerName: "Explorer", tokens: [], custom: true };
+    NetworkStorage.addCustom(net);
+    await selectNetwork(net.chainId);
+    return null;
+  };
+
+  const importToken = async (address, watchInWallet) => {
+    if (!connectedAddress) return "Connect a wallet first";
+    const checksummed = ethers.getAddress(address);
+    if (tokensFor(connectedAddress, network).some((t) => t.address.toLowerCase() === checksummed.toLowerCase())) return "Token is already tracked";
+    let token;
+    try { token = await lookupToken(network, checksummed); }
+    catch (e) { console.error("Token lookup failed:", e); return `No ERC-20 token found at that address on ${network.chainName}`; }
+    TokenStorage.add(connectedAddress, network.chainId, token);
+    fetchBalances(connectedAddress);
+    if (watchInWallet) { try { await walletProvider.request({ method: 'wallet_watchAsset', params: { type: 'ERC20', options: token } }); } catch (e) { console.error("wallet_watchAsset failed:", e); } }
+    return null;
+  };
   
-  const connectMetaMask = async () => {
-    if (!window.ethereum) return alert("MetaMask not detected. Please install it.");
+  const connectWallet = async (provider, connector) => {
+    let paired = false;
     try {
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const accounts = await provider.request({ method: 'eth_requestAccounts' });
+        paired = true;
         const addr = accounts[0];
-        if (!addr) return alert("Please connect an account in MetaMask.");
-        
-        const switched = await switchToBSC();
-        if (!switched) return alert("Please switch to the BNB Smart Chain to continue.");
-        
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        const signer = await provider.getSigner();
+        if (!addr) return notify("Please connect an account in your wallet.");
+        setPairing(null);
         
-        const challenge = `Welcome to Cyber Secure Chat!\n\nSign this message to prove you own this wallet.\n\nAddress: ${addr}\nTimestamp: ${Date.now()}`;
-        const signature = await signer.signMessage(challenge);
+        const switched = await switchNetwork(network, provider);
+        if (!switched) return notify(`Please switch to ${network.chainName} to continue.`);
         
-        const authData = { address: addr, signature, challenge };
-        AuthStorage.setAuth(authData);
+        const browserProvider = new ethers.BrowserProvider(provider);
+        const signer = await browserProvider.getSigner();
+        const { chainId } = await browserProvider.getNetwork();
 
+        const { nonce } = await api.getNonce(addr);
+        if (!nonce) return notify("Could not start sign-in. Please try again.");
+        const message = Siwe.build({ address: addr, chainId: Number(chainId), nonce });
+        const siwe = { message, signature: await signer.signMessage(message) };
+        const siweError = Siwe.verify(siwe, { address: addr, nonce });
+        if (siweError) return notify(siweError);
+
+        setWalletProvider(provider);
         setConnectedAddress(addr);
         fetchBalances(addr);
-        setStep("chooseAuth");
 
-        window.ethereum.on("accountsChanged", () => {
-          alert("Wallet account changed. Please reconnect and sign in again.");
-          handleLogout();
-        });
-        window.ethereum.on("chainChanged", () => { if (connectedAddress) fetchBalances(connectedAddress); });
+        const base = { address: addr, siwe, connector: provider.isRemoteSigner ? { id: "remote", uri: provider.uri, session: provider.session } : { id: connector.id } };
+        const res = await api.siweLogin(siwe);
+        if (res.success) { startSession(base, res, provider); }
+        else if (res.needsProfile) { AuthStorage.setAuth(base); setStep("register"); }
+        else { notify(res.message || "Sign-in failed."); }
     } catch (err) {
-        console.error("MetaMask connection/signature failed:", err);
-        if (err.code === 4001) {
-            alert("You rejected the request in MetaMask.");
+        console.error("Wallet connection/signature failed:", err);
+        // A remote pairing that times out or loses its relay stays on the pairing card, which says why and offers a new code.
+        if (provider.isRemoteSigner && !paired && err.code !== 4001) { provider.disconnect(); return setPairing((p) => (p?.provider === provider ? { ...p, error: errorText(err, "Pairing failed.") } : p)); }
+        setPairing(null);
+        if (err.code === 4001 || err.code === "ACTION_REJECTED") {
+            notify(err.message === "Pairing cancelled." ? null : "You rejected the request in your wallet.", "warning");
         } else {
-            alert("Failed to connect to MetaMask.");
+            notify(errorText(err, "Failed to connect to your wallet."));
         }
     }
   };
 
-  const connectManual = () => { const err = validators.walletAddress(manualAddress); if (err) return alert(err); const addr = manualAddress.trim(); AuthStorage.setAuth({ address: addr }); setConnectedAddress(addr); fetchBalances(addr); setStep("chooseAuth"); };
-  const clearSession = () => { setSession(null); setPartner(null); setUsers([]); setMsgs([]); setMessage(""); setForm({ username: "", password: "", email: "", phone: "", dob: "" }); };
-  const clearWallet = () => { setConnectedAddress(""); setManualAddress(""); setBalances(null); };
-  const handleLogout = () => { AuthStorage.clearAuth(); clearSession(); clearWallet(); setStep("connect"); };
-  const navigateTo = (newStep) => { if ((step === "register" || step === "login")) { setForm({ username: "", password: "", email: "", phone: "", dob: "" }); } if (newStep === "chooseAuth" && session) { clearSession(); } setStep(newStep); };
+  const startRemotePairing = async () => {
+    try {
+        const uri = buildSignerUri();
+        const [provider, qr] = await Promise.all([createRemoteProvider(uri), QRCode.toDataURL(uri, { margin: 1, width: 240, color: { dark: "#00f6ff", light: "#0a0a14" } })]);
+        setPairing({ uri, qr, provider });
+        connectWallet(provider, { id: "remote" });
+    } catch (e) { console.error("Failed to start pairing:", e); notify("Could not start remote signer pairing."); }
+  };
+  const cancelPairing = () => { pairing?.provider.disconnect(); setPairing(null); };
+
+  walletEventsRef.current = {
+    accountsChanged: (accounts) => { if (connectedAddress && accounts[0]?.toLowerCase() !== connectedAddress.toLowerCase()) { notify("Wallet account changed. Please reconnect and sign in again.", "warning"); handleLogout(); } },
+    disconnect: () => { if (walletProvider?.isRemoteSigner) notify("Lost the connection to your remote signer. Pair it again to sign.", "warning"); },
+    chainChanged: (chainId) => { const net = findNetwork(chainId); if (net) activateNetwork(net); else notify("Your wallet switched to a network that isn't in your list. Add it as a custom RPC to use it here.", "warning"); },
+  };
+
+  const startSession = (base, res, provider = walletProvider) => {
+    if (res.user?.walletAddress && res.user.walletAddress.toLowerCase() !== base.address.toLowerCase()) return notify("The server returned a session for a different wallet.");
+    const siweExpiry = Siwe.expiresAt(base.siwe.message), tokenExpiry = Date.parse(res.expiresAt);
+    const authData = { ...base, user: res.user, token: res.token, expiresAt: Number.isNaN(tokenExpiry) ? siweExpiry : Math.min(siweExpiry, tokenExpiry) };
+    AuthStorage.setAuth(authData); setSession(authData); setForm({ username: "", email: "", phone: "", dob: "" }); setStep("chat");
+    if (provider) unlockEncryption(authData, provider);
+  };
+
+  // A wallet that derives a different key than the one on file would orphan everything encrypted to the old key, so
+  // the new key is only published once the user confirms; the derived pair waits in keyConflict until then.
+  const unlockEncryption = async (auth = session, provider = walletProvider, replacement = null) => {
+    if (!provider) return notify("A wallet signature is required to unlock encrypted messages.");
+    setUnlocking(true);
+    try {
+        const signer = await new ethers.BrowserProvider(provider).getSigner();
+        if (signer.address.toLowerCase() !== auth.address.toLowerCase()) return notify("Select the connected account in your wallet to unlock messages.");
+
+        const pair = replacement || await E2E.deriveKeyPair(signer);
+        if (!replacement && auth.user.encryptionKey && auth.user.encryptionKey !== pair.publicKey) return setKeyConflict(pair);
+        if (auth.user.encryptionKey !== pair.publicKey || !auth.user.encryptionKeySig) {
+            const encryptionKeySig = await signer.signMessage(E2E.publishMessage(pair.publicKey));
+            const res = await api.publishKey({ encryptionKey: pair.publicKey, encryptionKeySig });
+            if (!res.success) return notify(res.message || "Failed to publish your encryption key.");
+            const authData = { ...auth, user: { ...auth.user, encryptionKey: pair.publicKey, encryptionKeySig } };
+            AuthStorage.setAuth(authData); setSession(authData); loadUsers();
+        }
+        setKeyConflict(null); setKeyPair(pair);
+    } catch (err) {
+        console.error("Unlocking encryption failed:", err);
+        if (err.code === 4001 || err.code === "ACTION_REJECTED") notify("Signature rejected. Encrypted messages stay locked.", "warning");
+        else notify(errorText(err, "Failed to unlock encrypted messages."));
+    } finally { setUnlocking(false); }
+  };
+
+  // Only a key signed by the partner's own wallet is trusted, so the server can't swap it. A contact without a key
+  // gets plaintext only after the user has agreed to that for this contact.
+  const sealError = (u) => {
+    if (!u.encryptionKey) return plaintextAllowed[u.username] ? null : `${u.username} has no encryption key. Choose "Send unencrypted" to message them anyway.`;
+    if (!E2E.isVerified(u)) return `${u.username}'s encryption key is not signed by their wallet and may not be theirs. Messaging is blocked until they publish a verified key.`;
+    return keyPair ? null : "Unlock encryption before messaging this contact.";
+  };
+  const sealForPartner = async (text) => {
+    const err = sealError(partner);
+    if (err) throw new Error(err);
+    return partner.encryptionKey ? E2E.seal(text, keyPair, partner.encryptionKey) : text;
+  };
+
+  // Every payment message is checked against the chain (see verifyPayment). Payments on chains the viewer hasn't
+  // configured are left alone, and a check that fails or times out is forgotten so the next load of the thread retries.
+  const walletOf = (username) => (username === session?.user.username ? session.address : users.find((u) => u.username === username)?.walletAddress);
+  const syncTransferStatus = (list) => {
+    list.filter((m) => m.transfer && m.txHash && !watchedTxRef.current.has(m.txHash)).forEach(async (m) => {
+        const net = findNetwork(m.transfer.chainId), from = walletOf(m.sender), to = walletOf(m.receiver);
+        if (!net || !from || !to) return;
+        watchedTxRef.current.add(m.txHash);
+        try { const status = await verifyPayment({ transfer: m.transfer, txHash: m.txHash, net, knownTokens: tokensFor(connectedAddress, net), from, to }); setTxStatus((s) => ({ ...s, [m.txHash]: status })); }
+        catch (e) { console.error("Payment check failed:", e); watchedTxRef.current.delete(m.txHash); }
+    });
+  };
+
+  const trackTransfer = async (tx) => {
+    watchedTxRef.current.add(tx.hash);
+    setTxStatus((s) => ({ ...s, [tx.hash]: "pending" }));
+    try { const receipt = await tx.wait(); setTxStatus((s) => ({ ...s, [tx.hash]: receipt?.status === 1 ? "confirmed" : "failed" })); }
+    catch (e) { console.error("Transfer failed on-chain:", e); setTxStatus((s) => ({ ...s, [tx.hash]: "failed" })); }
+    fetchBalances(connectedAddress);
+  };
+
+  const handleSendTokens = async () => {
+    if (!partner) return;
+    const { token } = transferForm; const amount = transferForm.amount.trim();
+    const tokenMeta = token === "native" ? null : tokensFor(connectedAddress, network).find((t) => t.address === token);
+    const symbol = tokenMeta ? tokenMeta.symbol : network.nativeCurrency.symbol;
+    if (!walletProvider) return notify("Connect a wallet that can sign to send tokens.");
+    if (!partner.walletAddress || !ethers.isAddress(partner.walletAddress)) return notify(`${partner.username} has no valid wallet address.`);
+    if (!(Number(amount) > 0)) return notify("Enter an amount greater than zero.");
+    const sealErr = sealError(partner); if (sealErr) return notify(sealErr);
+    setSendingTransfer(true);
+    try {
+        // Sealed before anything is signed, so an encryption failure can't leave funds moved without a payment message.
+        const text = await sealForPartner(message.trim() || `Sent ${amount} ${symbol}`);
+        const switched = await switchNetwork(network);
+        if (!switched) return notify(`Please switch to ${network.chainName} to send tokens.`);
+
+        const signer = await new ethers.BrowserProvider(walletProvider).getSigner();
+        if (signer.address.toLowerCase() !== connectedAddress.toLowerCase()) return notify("Select the connected account in your wallet to send tokens.");
+
+        let tx;
+        if (!tokenMeta) {
+            tx = await signer.sendTransaction({ to: partner.walletAddress, value: ethers.parseEther(amount) });
+        } else {
+            const contract = new ethers.Contract(tokenMeta.address, USDT_ABI, signer);
+            const dec = tokenMeta.decimals ?? await contract.decimals();
+            tx = await contract.transfer(partner.walletAddress, ethers.parseUnits(amount, Number(dec)));
+        }
+        trackTransfer(tx);
+        setTransferOpen(false); setTransferForm({ token, amount: "" });
+
+        // The funds have already moved, so a failure from here on must not read as a failed transfer.
+        try {
+            const res = await api.sendMessage({ receiver: partner.username, text, txHash: tx.hash, transfer: { token: symbol, tokenAddress: tokenMeta?.address, chainId: network.chainId, amount, to: partner.walletAddress } });
+            if (!res.success) throw new ApiError(res.message || "The server did not save the message.");
+            setMessage(""); if (res.message) { nearBottomRef.current = true; appendMessage(res.message); touchConversation(partner.username, res.message); } else { await loadMessages(); }
+        } catch (e) {
+            console.error("Payment message failed to save:", e);
+            notify(`Transfer submitted (${tx.hash.slice(0, 10)}…), but the chat message failed to save${e.message ? `: ${e.message}` : "."}`, "warning");
+        }
+    } catch (err) {
+        console.error("Token transfer failed:", err);
+        if (err.code === 4001 || err.code === "ACTION_REJECTED") {
+            notify("You rejected the transfer in your wallet.", "warning");
+        } else {
+            notify(errorText(err, err.shortMessage || "Token transfer failed."));
+        }
+    } finally { setSendingTransfer(false); }
+  };
+
+  const connectManual = () => { const err = validators.walletAddress(manualAddress); if (err) return notify(err); const addr = manualAddress.trim(); AuthStorage.setAuth({ address: addr, watchOnly: true }); setConnectedAddress(addr); fetchBalances(addr); setStep("watch"); };
+  const clearSession = () => { setSession(null); setPlaintextAllowed({}); setAdminOpen(false); setReports([]); setConversations({}); setSearch(null); setSearchQuery(""); setHighlight(null); setKeyPair(null); setKeyConflict(null); setPartnerName(null); setUsers([]); setMsgs([]); setMessage(""); setTransferOpen(false); setTransferForm({ token: "native", amount: "" }); setForm({ username: "", email: "", phone: "", dob: "" }); };
+  const clearWallet = () => { if (walletProvider?.isRemoteSigner) walletProvider.disconnect(); setWalletProvider(null); setConnectedAddress(""); setManualAddress(""); setBalances(null); setActivityOpen(false); setActivity({ entries: [], nextBlock: null, native: null, loading: false, error: "" }); };
+  // Expired or revoked sessions also end here; their unsent messages stay stored and go out after the next sign-in.
+  const handleLogout = () => { setOutbox([]); AuthStorage.clearAuth(); clearSession(); clearWallet(); setStep("connect"); };
+  const handleSignOut = () => { if (outbox.length) notify(`${outbox.length} unsent message${outbox.length === 1 ? " was" : "s were"} discarded.`, "warning"); OutboxStorage.clear(session.user.username); handleLogout(); };
   
-  const handleRegister = async () => { if (!isRegisterFormValid()) return alert("Please fix form errors."); try { const res = await api.register({ ...form, walletAddress: connectedAddress }); if (res.success) { alert("Registration successful! Please login."); navigateTo("login"); } else { alert(res.message || "Registration failed"); } } catch (e) { alert("Registration failed."); } };
-  const handleLogin = async () => { if (!isLoginFormValid()) return alert("Enter username/password."); try { const res = await api.login({ username: form.username, password: form.password }); if (res.success) { const authData = { ...AuthStorage.getAuth(), user: res.user, token: res.token }; AuthStorage.setAuth(authData); setSession(authData); navigateTo("chat"); } else { alert(res.message || "Invalid credentials"); } } catch (e) { alert("Login failed."); } };
-  const handleSendMsg = async () => { if (!message.trim() || !partner) return; try { const res = await api.sendMessage({ receiver: partner.username, text: message.trim(), txHash: dummyHash() }); if (res.success) { setMessage(""); await loadMessages(); } else { alert("Failed to send message"); } } catch (e) { alert("Failed to send message."); } };
-  const handleClearAll = async () => { if (window.confirm("Are you sure? This deletes ALL users & chats.")) { try { await api.deleteAllUsers(); setUsers([]); setMsgs([]); clearSession(); navigateTo("chooseAuth"); } catch (e) { alert("Failed to clear users."); } } };
+  const handleRegister = async () => { if (!isRegisterFormValid()) return notify("Please fix form errors."); const pending = AuthStorage.getAuth(); if (Siwe.verify(pending?.siwe, { address: connectedAddress })) { notify("Your sign-in expired. Please connect your wallet again."); return handleLogout(); } try { const res = await api.register({ ...form, walletAddress: connectedAddress, siwe: pending.siwe }); if (res.success) { startSession({ address: connectedAddress, siwe: pending.siwe }, res); } else { notify(res.message || "Registration failed"); } } catch (e) { notify(errorText(e, "Registration failed.")); } };
+  const handleSendMsg = async () => { if (!message.trim() || !partner) return; const sealErr = sealError(partner); if (sealErr) return notify(sealErr); try { const text = await sealForPartner(message.trim()); const item = { clientId: `local-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`, sender: session.user.username, receiver: partner.username, text, createdAt: new Date().toISOString(), status: "sending" }; nearBottomRef.current = true; setOutbox((o) => [...o, item]); setMessage(""); sendOutboxItem(item); } catch (e) { notify(errorText(e, "Failed to send message.")); } };
+  const appendMessage = (m) => setMsgs((prev) => (prev.some((x) => (m._id && x._id === m._id) || (m.clientId && x.clientId === m.clientId)) ? prev : [...prev, m]));
+  const updateOutbox = (clientId, patch) => setOutbox((o) => o.map((m) => (m.clientId === clientId ? { ...m, ...patch } : m)));
+  const removeFromOutbox = (clientId) => setOutbox((o) => o.filter((m) => m.clientId !== clientId));
+
+  const sendOutboxItem = async (item) => {
+    if (!navigator.onLine) return updateOutbox(item.clientId, { status: "queued" });
+    updateOutbox(item.clientId, { status: "sending" });
+    try {
+        const res = await api.sendMessage({ receiver: item.receiver, text: item.text, clientId: item.clientId });
+        if (!res.success) return updateOutbox(item.clientId, { status: "failed" });
+        removeFromOutbox(item.clientId);
+        const sent = { ...item, ...res.message, status: undefined };
+        touchConversation(item.receiver, sent);
+        if (partner?.username === item.receiver) appendMessage(sent);
+    } catch (e) {
+        console.error("Failed to send message:", e);
+        const offline = e instanceof ApiError && e.status === 0;
+        updateOutbox(item.clientId, { status: offline ? "queued" : "failed" });
+        if (!offline) notify(errorText(e, "Failed to send message."));
+    }
+  };
+  const flushOutbox = () => { if (session) outbox.filter((m) => m.status === "queued" && m.sender === session.user.username).forEach(sendOutboxItem); };
+
+  const handleLiveEvent = (evt) => {
+    const me = session?.user.username;
+    if (!me) return;
+    if (evt.type === "message" && evt.message) {
+        const m = evt.message;
+        if (m.createdAt && m.createdAt > lastSeenRef.current) lastSeenRef.current = m.createdAt;
+        if (m.clientId) removeFromOutbox(m.clientId);
+        if (m.sender === me || m.receiver === me) touchConversation(m.sender === me ? m.receiver : m.sender, m);
+        if (partner && ((m.sender === partner.username && m.receiver === me) || (m.sender === me && m.receiver === partner.username))) { appendMessage(m); syncTransferStatus([m]); }
+        else if (m.receiver === me) setUnread((u) => ({ ...u, [m.sender]: (u[m.sender] || 0) + 1 }));
+        if (m.sender !== me) setTyping(({ [m.sender]: _, ...rest }) => rest);
+    } else if (evt.type === "typing" && evt.to === me && evt.from) {
+        const stamp = Date.now();
+        setTyping((t) => ({ ...t, [evt.from]: stamp }));
+        setTimeout(() => setTyping((t) => { if (t[evt.from] !== stamp) return t; const { [evt.from]: _, ...rest } = t; return rest; }), TYPING_SHOW_MS);
+    }
+  };
+  const pollInbox = async () => { if (!session) return; try { const res = await api.getInbox(session.user.username, lastSeenRef.current); if (Array.isArray(res)) res.forEach((message) => handleLiveEvent({ type: "message", message })); } catch (e) { console.error("Inbox poll failed:", e); } };
+  liveHandlerRef.current = handleLiveEvent;
+  unauthorizedRef.current = () => { notify("Your session is no longer valid. Please sign in again.", "warning"); handleLogout(); };
+  pollRef.current = pollInbox;
+  flushOutboxRef.current = flushOutbox;
+
+  const touchConversation = (name, m) => setConversations((c) => (c[name] && c[name].createdAt > m.createdAt ? c : { ...c, [name]: m }));
+  const readText = async (text) => (!E2E.isSealed(text) ? text : keyPair ? E2E.open(text, keyPair).catch(() => null) : null);
+
+  const runSearch = async () => {
+    const q = searchQuery.trim().toLowerCase();
+    if (q.length < 2) return notify("Type at least 2 characters to search.", "info");
+    setSearch({ query: q, results: [], loading: true, skipped: !keyPair });
+    try {
+        // Fetched fresh rather than trusting the sidebar, so a failed load shows up as an error, not as "no matches".
+        const list = await api.getConversations();
+        if (!Array.isArray(list)) throw new ApiError("The server sent an unreadable conversation list.");
+        setConversations(toConversationMap(list));
+        const results = await searchMessages(session.user.username, list.map((c) => c.partner), q, readText);
+        setSearch({ query: q, results, loading: false, skipped: !keyPair });
+    } catch (e) { console.error("Search failed:", e); notify(errorText(e, "Search failed.")); setSearch(null); }
+  };
+  const clearSearch = () => { setSearch(null); setSearchQuery(""); };
+  const jumpToResult = (r) => {
+    const u = users.find((x) => x.username === r.partner);
+    if (!u) return;
+    pendingJumpRef.current = { partner: r.partner, id: r.id, query: search?.query };
+    if (partner?.username === r.partner) setMsgs((prev) => [...prev]); else selectPartner(u);
+  };
+
+  const selectPartner = (u) => { setPartnerName(u.username); loadUsers(); setUnread(({ [u.username]: _, ...rest }) => rest); };
+  const handleMessageChange = (e) => { setMessage(e.target.value); if (partner && Date.now() - lastTypingSentRef.current > TYPING_SEND_MS) { lastTypingSentRef.current = Date.now(); channelRef.current?.send({ type: "typing", to: partner.username }); } };
+
+  const hideMessage = async (m) => {
+    if (!m._id) return removeFromOutbox(m.clientId);
+    try { await api.hideMessage(m._id); setMsgs((prev) => prev.filter((x) => x._id !== m._id)); loadConversations(); notify("Message deleted for you.", "info"); }
+    catch (e) { notify(errorText(e, "Failed to delete message.")); }
+  };
+  // Moderators can't read ciphertext, so a report carries the text as the reporter decrypted it.
+  const reportMessage = async (m, reason) => {
+    try { await api.reportMessage(m._id, { reason, excerpt: (await readText(m.text)) || "" }); notify("Report sent to the moderators.", "success"); return true; }
+    catch (e) { notify(errorText(e, "Failed to send report.")); return false; }
+  };
+
+  const isAdmin = Moderation.isAdmin(session?.user);
+  const loadReports = async () => { try { const res = await api.getReports(); if (Array.isArray(res)) setReports(res); } catch (e) { console.error("Failed to load reports:", e); notify(errorText(e, "Failed to load reports.")); } };
+  useEffect(() => { if (adminOpen && isAdmin) { loadReports(); loadUsers(); } }, [adminOpen]);
+  const signConfirmation = async (action, target) => {
+    if (!walletProvider) { notify("Connect your wallet to confirm this action."); return null; }
+    const signer = await new ethers.BrowserProvider(walletProvider).getSigner();
+    if (signer.address.toLowerCase() !== session.address.toLowerCase()) { notify("Select the connected account in your wallet to confirm."); return null; }
+    const message = Moderation.confirmMessage({ action, target, address: signer.address });
+    return { message, signature: await signer.signMessage(message) };
+  };
+  const runModeration = async (action, target, call, onDone) => {
+    setModerating(true);
+    try { const confirmation = await signConfirmation(action, target); if (!confirmation) return; await call(confirmation); onDone(); }
+    catch (e) {
+        console.error(`Moderation action ${action} failed:`, e);
+        if (e.code === 4001 || e.code === "ACTION_REJECTED") notify("Cancelled. The confirmation was not signed.", "warning");
+        else notify(errorText(e, "Moderation action failed."));
+    } finally { setModerating(false); }
+  };
+  const deleteUser = (u) => runModeration("delete-user", u.username, (c) => api.deleteUser(u.username, c), () => {
+    notify(`Deleted ${u.username} and their messages.`, "success");
+    setUsers((us) => us.filter((x) => x.username !== u.username)); setReports((rs) => rs.filter((r) => r.sender !== u.username && r.reporter !== u.username)); setConversations(({ [u.username]: _, ...rest }) => rest);
+    if (partnerName === u.username) { setPartnerName(null); setMsgs([]); }
+  });
+  const deleteConversation = (u1, u2) => runModeration("delete-conversation", `${u1}/${u2}`, (c) => api.deleteConversation(u1, u2, c), () => { notify(`Deleted the conversation between ${u1} and ${u2}.`, "success"); loadReports(); loadConversations(); loadMessages(); });
+  const deleteReportedMessage = (r) => runModeration("delete-message", r.messageId, (c) => api.deleteMessage(r.messageId, c), () => { notify("Message deleted for everyone.", "success"); setReports((rs) => rs.filter((x) => x.messageId !== r.messageId)); setMsgs((prev) => prev.filter((m) => m._id !== r.messageId)); loadConversations(); });
+  const dismissReport = async (r) => { try { await api.dismissReport(r._id); setReports((rs) => rs.filter((x) => x._id !== r._id)); } catch (e) { notify(errorText(e, "Failed to dismiss report.")); } };
+  const setUserStatus = async (u, status) => {
+    setModerating(true);
+    try { const res = await api.setUserStatus(u.username, status); setUsers((us) => us.map((x) => (x.username === u.username ? { ...x, ...res.user, status } : x))); notify(`${u.username} is now ${status}.`, "success"); }
+    catch (e) { notify(errorText(e, "Failed to update user.")); }
+    finally { setModerating(false); }
+  };
 
   const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
-  const thread = msgs.filter((m) => (m.sender === session?.user.username && m.receiver === partner?.username) || (m.sender === partner?.username && m.receiver === session?.user.username));
+  const thread = [...msgs.filter((m) => (m.sender === session?.user.username && m.receiver === partner?.username) || (m.sender === partner?.username && m.receiver === session?.user.username)), ...outbox.filter((m) => m.sender === session?.user.username && m.receiver === partner?.username)];
+  const liveLabels = { live: [Wifi, "text-green-400", "Live"], reconnecting: [RefreshCw, "text-yellow-300", "Reconnecting..."], polling: [RefreshCw, "text-yellow-300", "Polling"], offline: [WifiOff, "text-red-400", "Offline"] };
+  const [LiveIcon, liveColor, liveLabel] = liveLabels[liveStatus];
 
   return (
     <div className="min-h-screen w-full bg-[#0a0a14] text-slate-100 flex flex-col items-center py-10 px-4 relative overflow-hidden">
       <FuturisticStyles />
+      <ToastStack toasts={toasts} onDismiss={dismissToast} />
       <div className="animated-grid" />
       <div className="w-full max-w-7xl relative z-10 flex flex-col items-center">
-        <Navbar onBack={step === "chooseAuth" ? handleLogout : (step !== "connect" && step !== "chat" ? () => navigateTo("chooseAuth") : null)} onLogout={session ? handleLogout : null} walletAddress={connectedAddress} balances={balances} loadingBalances={loadingBalances}/>
+        <Navbar onBack={step === "register" || step === "watch" ? handleLogout : null} onLogout={session ? handleSignOut : null} walletAddress={connectedAddress} balances={balances} loadingBalances={loadingBalances}>{step !== "connect" && (<NetworkPanel network={network} onSelect={selectNetwork} onAddNetwork={addCustomNetwork} onImportToken={importToken} canWatchAsset={!!walletProvider && step !== "watch"} activityOpen={activityOpen} onToggleActivity={() => setActivityOpen(!activityOpen)} />)}</Navbar>
+        <AnimatePresence>{adminOpen && isAdmin && (<AdminConsole key="admin" users={users} reports={reports} currentUser={session.user.username} busy={moderating} onSetStatus={setUserStatus} onDeleteUser={deleteUser} onDeleteConversation={deleteConversation} onDeleteMessage={deleteReportedMessage} onDismissReport={dismissReport} onRefresh={() => { loadReports(); loadUsers(); }} onClose={() => setAdminOpen(false)} />)}</AnimatePresence>
+        <AnimatePresence>{activityOpen && connectedAddress && (<ActivityPanel key="activity" activity={activity} network={network} walletAddress={connectedAddress} resolveName={resolveName} onLoadMore={() => loadActivity(false)} onRefresh={() => loadActivity(true)} onClose={() => setActivityOpen(false)} />)}</AnimatePresence>
         <main className="mt-8 w-full flex justify-center">
           <AnimatePresence mode="wait">
-            {step === "connect" && (<motion.div key="connect"><Card title="Initialize Connection"><p className="mb-6 text-sm text-center text-slate-400">Connect your wallet to enter the secure network.</p><motion.div className="space-y-4" variants={staggerList} initial="hidden" animate="visible"><motion.div variants={bounceIn}><Button onClick={connectMetaMask} className="w-full">Connect with MetaMask</Button></motion.div><div className="text-center my-2 text-slate-500">OR</div><motion.div variants={bounceIn} className="flex gap-3"><ValidatedInput placeholder="Manual Wallet Address" value={manualAddress} onChange={(e) => setManualAddress(e.target.value)} validator={validators.walletAddress} /><Button onClick={connectManual} variant="secondary" disabled={!manualAddress.trim() || !!validators.walletAddress(manualAddress)}>Link</Button></motion.div></motion.div></Card></motion.div>)}
-            {step === "chooseAuth" && (<motion.div key="chooseAuth"><Card title="Authentication"><p className="mb-6 text-sm text-center text-slate-400">Wallet linked. Register a new profile or log in.</p><div className="flex gap-4"><Button className="w-full" onClick={() => navigateTo("register")}>Register</Button><Button className="w-full" variant="secondary" onClick={() => navigateTo("login")}>Login</Button></div></Card></motion.div>)}
-            {step === "register" && (<motion.div key="register"><Card title="Create Profile"><div className="space-y-4"><ValidatedInput name="username" value={form.username} onChange={handleChange} placeholder="Username" validator={validators.username}/><ValidatedInput name="password" type="password" value={form.password} onChange={handleChange} placeholder="Password" validator={validators.password}/><ValidatedInput name="email" type="email" value={form.email} onChange={handleChange} placeholder="Email" validator={validators.email}/><ValidatedInput name="phone" type="tel" value={form.phone} onChange={handleChange} placeholder="Phone Number (Optional)" validator={validators.phone}/><ValidatedInput name="dob" type="date" value={form.dob} onChange={handleChange} placeholder="Date of Birth (Optional)" validator={validators.dob}/><Button onClick={handleRegister} className="w-full mt-4" disabled={!isRegisterFormValid()}>Create Profile</Button></div></Card></motion.div>)}
-            {step === "login" && (<motion.div key="login"><Card title="Login"><div className="space-y-4"><ValidatedInput name="username" value={form.username} onChange={handleChange} placeholder="Username"/><ValidatedInput name="password" type="password" value={form.password} onChange={handleChange} placeholder="Password"/><Button onClick={handleLogin} className="w-full mt-4 flex items-center justify-center gap-2" disabled={!isLoginFormValid()}><Unlock size={18} /> Access</Button></div></Card></motion.div>)}
-            {step === "chat" && session && (<motion.div key="chat" className="grid lg:grid-cols-3 gap-6 w-full max-w-7xl" variants={staggerList} initial="hidden" animate="visible"><motion.div variants={slideInLeft}><Card title="Contacts" footer={<Button onClick={handleClearAll} variant="danger" className="w-full">Clear All Users & Chats</Button>}><div className="space-y-3 max-h-[60vh] overflow-y-auto pr-2">{users.filter((u) => u.username !== session.user.username).map((u) => (<UserItem key={u.username} u={u} selected={partner?.username === u.username} onClick={() => setPartner(u)} />))}</div></Card></motion.div><motion.div variants={fadeInUp} className="lg:col-span-2"><Card title={partner ? `Channel: ${partner.username}` : "Select Contact"}><div className="h-[50vh] flex flex-col overflow-y-auto mb-6 bg-black/20 rounded-lg p-4 border border-[var(--border-color)]"><div className="flex-grow space-y-2">{partner ? (thread.length > 0 ? thread.map((m) => (<MessageBubble key={m._id} m={m} currentUser={session.user.username} />)) : (<div className="h-full flex items-center justify-center text-slate-400">No messages yet.</div>)) : (<div className="h-full flex items-center justify-center text-slate-400">Choose a contact to begin.</div>)}<div ref={chatEndRef} /></div></div>{partner && (<motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="flex gap-3"><input className="flex-1 px-4 py-3 rounded-lg cyber-input" placeholder={`Message...`} value={message} onChange={(e) => setMessage(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") handleSendMsg(); }}/><Button onClick={handleSendMsg} className="px-4"><Send size={18} /></Button></motion.div>)}</Card></motion.div></motion.div>)}
+            {step === "connect" && (<motion.div key="connect"><Card title="Initialize Connection">{pairing ? (<div className="flex flex-col items-center gap-4">{pairing.error ? (<><p className="flex items-center gap-2 text-sm text-center text-red-300"><AlertTriangle size={16} className="shrink-0" />{pairing.error}</p><Button className="w-full" onClick={startRemotePairing}>Show a new code</Button></>) : (<><p className="text-sm text-center text-slate-400">Scan with your wallet app, or paste the pairing link into it.</p><img src={pairing.qr} alt="Pairing QR code" className="rounded-lg border border-[var(--border-color)]" /><div className="flex w-full gap-2"><input readOnly className="flex-1 min-w-0 px-3 py-2 rounded-lg cyber-input text-xs font-mono" value={pairing.uri} /><motion.button {...scaleTap} title="Copy pairing link" onClick={() => navigator.clipboard?.writeText(pairing.uri).then(() => notify("Pairing link copied.", "success"))} className="px-3 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)]"><Copy size={16} /></motion.button></div>{TEST_SIGNER_ENABLED && (<a href={`${window.location.pathname}#test-signer=${encodeURIComponent(pairing.uri)}`} target="_blank" rel="noopener noreferrer" className="text-xs text-cyan-300 hover:text-white">Open test signer in a new tab</a>)}<div className="flex items-center gap-2 text-slate-400 text-sm"><Loader2 size={14} className="animate-spin" />Waiting for approval...</div></>)}<Button variant="danger" className="w-full" onClick={cancelPairing}>Cancel</Button></div>) : (<><p className="mb-6 text-sm text-center text-slate-400">Connect your wallet to enter the secure network.</p><motion.div className="space-y-4" variants={staggerList} initial="hidden" animate="visible">{wallets.map((w) => (<motion.div key={w.id} variants={bounceIn}><Button onClick={() => connectWallet(w.provider, w)} className="w-full"><span className="flex items-center justify-center gap-3">{w.icon ? <img src={w.icon} alt="" className="w-6 h-6" /> : <WalletIcon size={20} />}{w.name}</span></Button></motion.div>))}{!wallets.length && (<p className="text-center text-xs text-slate-500">No browser wallet detected.</p>)}<motion.div variants={bounceIn}><Button onClick={startRemotePairing} variant="secondary" className="w-full"><span className="flex items-center justify-center gap-3"><QrCode size={20} />Mobile / Remote Signer</span></Button></motion.div><div className="text-center my-2 text-slate-500">OR WATCH AN ADDRESS (READ-ONLY)</div><motion.div variants={bounceIn} className="flex gap-3"><ValidatedInput placeholder="Wallet Address" value={manualAddress} onChange={(e) => setManualAddress(e.target.value)} validator={validators.walletAddress} /><Button onClick={connectManual} variant="secondary" disabled={!manualAddress.trim() || !!validators.walletAddress(manualAddress)}><span className="flex items-center gap-2"><Eye size={16} />Watch</span></Button></motion.div></motion.div></>)}</Card></motion.div>)}
+            {step === "watch" && (<motion.div key="watch"><Card title="Watch Mode"><p className="mb-6 text-sm text-center text-slate-400 flex items-center justify-center gap-2"><Eye size={16} />Read-only view of this wallet. Signing in needs a wallet signature.</p><Button className="w-full" onClick={handleLogout}>Connect a Wallet to Sign In</Button></Card></motion.div>)}
+            {step === "register" && (<motion.div key="register"><Card title="Create Profile"><p className="mb-6 text-sm text-center text-slate-400">Wallet verified. No profile is linked to it yet.</p><div className="space-y-4"><ValidatedInput name="username" value={form.username} onChange={handleChange} placeholder="Username" validator={validators.username}/><ValidatedInput name="email" type="email" value={form.email} onChange={handleChange} placeholder="Email" validator={validators.email}/><ValidatedInput name="phone" type="tel" value={form.phone} onChange={handleChange} placeholder="Phone Number (Optional)" validator={validators.phone}/><ValidatedInput name="dob" type="date" value={form.dob} onChange={handleChange} placeholder="Date of Birth (Optional)" validator={validators.dob}/><Button onClick={handleRegister} className="w-full mt-4" disabled={!isRegisterFormValid()}>Create Profile</Button></div></Card></motion.div>)}
+            {step === "chat" && session && (<motion.div key="chat" className="grid lg:grid-cols-3 gap-6 w-full max-w-7xl" variants={staggerList} initial="hidden" animate="visible"><motion.div variants={slideInLeft}><Card title="Contacts" footer={isAdmin && (<Button onClick={() => setAdminOpen(!adminOpen)} variant="danger" className="w-full"><span className="flex items-center justify-center gap-2"><Shield size={16} />{adminOpen ? "Close Admin Console" : "Admin Console"}</span></Button>)}><div className={`mb-3 flex items-center justify-center gap-2 text-xs uppercase tracking-wider ${liveColor}`}><LiveIcon size={14} />{liveLabel}</div><div className="mb-3 flex gap-2"><input className="flex-1 min-w-0 px-3 py-2 rounded-lg cyber-input text-sm" placeholder="Search messages..." value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} onKeyDown={(e) => { if (e.key === "Enter") runSearch(); if (e.key === "Escape") clearSearch(); }} /><motion.button {...scaleTap} onClick={search ? clearSearch : runSearch} title={search ? "Clear search" : "Search"} className="px-3 rounded-lg border border-[var(--border-color)] text-[var(--primary-glow)]">{search ? <X size={16} /> : <Search size={16} />}</motion.button></div><div className="space-y-3 max-h-[60vh] overflow-y-auto pr-2">{search ? (<>{search.skipped && (<p className="text-xs text-yellow-300/80">Encrypted messages are locked and were not searched.</p>)}{search.loading ? (<div className="flex items-center justify-center gap-2 py-4 text-slate-400"><Loader2 size={16} className="animate-spin" />Searching...</div>) : search.results.length ? search.results.map((r) => (<motion.button {...scaleTap} key={r.id} onClick={() => jumpToResult(r)} className="w-full text-left p-3 rounded-lg bg-black/30 border border-[var(--border-color)] hover:bg-cyan-500/10"><div className="flex justify-between gap-2 text-xs"><span className="font-bold tracking-wider text-[var(--primary-glow)]">{r.partner}</span><span className="text-slate-400">{formatStamp(r.createdAt)}</span></div><p className="text-sm text-slate-300 line-clamp-2 break-words"><HighlightedText text={r.text} query={search.query} /></p></motion.button>)) : (<p className="text-center text-slate-400 py-4">No messages match "{search.query}".</p>)}</>) : users.filter((u) => u.username !== session.user.username).sort((a, b) => (conversations[b.username]?.createdAt || "").localeCompare(conversations[a.username]?.createdAt || "") || a.username.localeCompare(b.username)).map((u) => (<UserItem key={u.username} u={u} selected={partner?.username === u.username} unread={unread[u.username] || 0} lastMessage={conversations[u.username]} currentUser={session.user.username} keyPair={keyPair} onClick={() => selectPartner(u)} />))}</div></Card></motion.div><motion.div variants={fadeInUp} className="lg:col-span-2"><Card title={partner ? `Channel: ${partner.username}` : "Select Contact"}>{partner && !partner.encryptionKey && !plaintextAllowed[partner.username] && (<div className="mb-3 flex items-center justify-between gap-3 p-3 rounded-lg bg-black/30 border border-yellow-400/60 text-sm text-slate-300"><span className="flex items-center gap-2"><ShieldAlert size={16} className="text-yellow-300 shrink-0" />{partner.username} has no encryption key. The server could read anything you send.</span><Button onClick={() => setPlaintextAllowed((a) => ({ ...a, [partner.username]: true }))} variant="danger" className="px-3 py-2 text-xs shrink-0">Send unencrypted</Button></div>)}{partner?.encryptionKey && !E2E.isVerified(partner) && (<div className="mb-3 flex items-center gap-2 p-3 rounded-lg bg-black/30 border border-red-500/60 text-sm text-red-200"><ShieldAlert size={16} className="shrink-0" />{partner.username}'s encryption key is not signed by their wallet. Messaging is blocked until they publish a verified key.</div>)}{keyConflict && (<div className="mb-3 p-3 rounded-lg bg-black/30 border border-red-500/60 text-sm text-slate-300"><p className="flex items-center gap-2 text-red-200"><ShieldAlert size={16} className="shrink-0" />This wallet produced a different encryption key from the one published for your account.</p><p className="mt-1 text-xs text-slate-400">Replacing it makes every message encrypted to the old key unreadable, for you and for your contacts. Keep the old key if you can unlock with the wallet that created it.</p><div className="mt-3 flex gap-2"><Button onClick={() => unlockEncryption(session, walletProvider, keyConflict)} variant="danger" className="px-3 py-2 text-xs" disabled={unlocking || !walletProvider}>{unlocking ? "Signing..." : "Replace key"}</Button><Button onClick={() => setKeyConflict(null)} variant="secondary" className="px-3 py-2 text-xs" disabled={unlocking}>Keep old key</Button></div></div>)}{!keyPair && !keyConflict && (<div className="mb-3 flex items-center justify-between gap-3 p-3 rounded-lg bg-black/30 border border-[var(--border-color)] text-sm text-slate-300"><span className="flex items-center gap-2"><Lock size={16} className="text-yellow-300" />Encrypted messages are locked.</span><Button onClick={() => unlockEncryption()} variant="secondary" className="px-3 py-2 text-xs" disabled={unlocking || !walletProvider}>{unlocking ? "Signing..." : "Unlock"}</Button></div>)}<div ref={chatScrollRef} onScroll={handleChatScroll} className="h-[50vh] flex flex-col overflow-y-auto mb-6 bg-black/20 rounded-lg p-4 border border-[var(--border-color)]"><div className="flex-grow space-y-2">{loadingOlder && (<div className="flex items-center justify-center gap-2 text-xs text-slate-400"><Loader2 size={14} className="animate-spin" />Loading older messages...</div>)}{partner && !hasOlder && msgs.length >= HISTORY_PAGE_SIZE && (<div className="text-center text-xs text-slate-500">Start of conversation</div>)}{partner ? (thread.length > 0 ? thread.map((m) => (<MessageBubble key={m._id || m.clientId} m={m} currentUser={session.user.username} txStatus={txStatus} keyPair={keyPair} onRetry={sendOutboxItem} onHide={hideMessage} onReport={reportMessage} highlight={highlight?.id === (m._id || m.clientId) ? highlight.query : null} />)) : (<div className="h-full flex items-center justify-center text-slate-400">No messages yet.</div>)) : (<div className="h-full flex items-center justify-center text-slate-400">Choose a contact to begin.</div>)}{partner && typing[partner.username] && (<motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="text-xs text-slate-400 italic">{partner.username} is typing...</motion.div>)}<div ref={chatEndRef} /></div></div>{partner && transferOpen && (<motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} className="mb-3 p-3 rounded-lg bg-black/30 border border-[var(--border-color)]"><p className="text-xs text-slate-400 mb-2 break-all">To: <span className="font-mono text-cyan-300">{partner.walletAddress || "no wallet on file"}</span></p><div className="flex gap-3"><select className="px-3 py-3 rounded-lg cyber-input" value={transferForm.token} onChange={(e) => setTransferForm({ ...transferForm, token: e.target.value })}><option value="native">{network.nativeCurrency.symbol}</option>{tokensFor(connectedAddress, network).map((t) => (<option key={t.address} value={t.address}>{t.symbol}</option>))}</select><input className="flex-1 px-4 py-3 rounded-lg cyber-input" type="number" min="0" step="any" placeholder="Amount" value={transferForm.amount} onChange={(e) => setTransferForm({ ...transferForm, amount: e.target.value })}/><Button onClick={handleSendTokens} variant="secondary" className="px-4" disabled={sendingTransfer || !transferForm.amount}>{sendingTransfer ? "Signing..." : "Send"}</Button></div></motion.div>)}{partner && (<motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="flex gap-3"><motion.button {...scaleTap} onClick={() => setTransferOpen(!transferOpen)} title="Send tokens" className={`px-3 rounded-lg border ${transferOpen ? "border-pink-400 text-pink-300" : "border-[var(--border-color)] text-[var(--primary-glow)]"}`}><Coins size={18} /></motion.button><input className="flex-1 px-4 py-3 rounded-lg cyber-input" placeholder={`Message...`} value={message} onChange={handleMessageChange} onKeyDown={(e) => { if (e.key === "Enter") handleSendMsg(); }}/><Button onClick={handleSendMsg} className="px-4"><Send size={18} /></Button></motion.div>)}</Card></motion.div></motion.div>)}
           </AnimatePresence>
         </main>
       </div>